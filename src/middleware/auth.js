@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 // Protect routes - require authentication
 const protect = async (req, res, next) => {
@@ -18,6 +19,23 @@ const protect = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'market-cairo-jwt-secret');
+
+    // Purpose-scoped tokens (email verification etc.) are not access tokens
+    if (decoded.purpose || !decoded.sid) {
+      throw new Error('Invalid token type');
+    }
+
+    // Access tokens die with their session (logout, revocation, password change)
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isValid() || session.user.toString() !== decoded.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired. Please login again.',
+        sessionExpired: true
+      });
+    }
+    req.session = session;
+
     req.user = await User.findById(decoded.id);
 
     if (!req.user) {
@@ -34,6 +52,13 @@ const protect = async (req, res, next) => {
       });
     }
 
+    if (req.user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password was changed. Please login again.'
+      });
+    }
+
     // Update last seen
     req.user.lastSeen = new Date();
     await req.user.save();
@@ -61,14 +86,21 @@ const optionalAuth = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'market-cairo-jwt-secret');
-    req.user = await User.findById(decoded.id);
+    if (!decoded.purpose && decoded.sid) {
+      const session = await Session.findById(decoded.sid);
+      const user = session && session.isValid() ? await User.findById(decoded.id) : null;
+      if (user && user.isActive && !user.changedPasswordAfter(decoded.iat)) {
+        req.user = user;
+        req.session = session;
+      }
+    }
     next();
   } catch (error) {
     next();
   }
 };
 
-// Admin only middleware
+// Admin only middleware (any staff role)
 const adminOnly = (req, res, next) => {
   if (!req.user || !req.user.isAdmin) {
     return res.status(403).json({
@@ -79,8 +111,61 @@ const adminOnly = (req, res, next) => {
   next();
 };
 
-// Verified users only middleware
+// Require every listed permission (see utils/permissions)
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user || !permissions.every(permission => req.user.hasPermission(permission))) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action'
+    });
+  }
+  next();
+};
+
+// Admins must use two-factor authentication (disable with ADMIN_REQUIRE_2FA=false)
+const requireAdminTwoFactor = (req, res, next) => {
+  if (process.env.ADMIN_REQUIRE_2FA === 'false' || !req.user?.isAdmin) {
+    return next();
+  }
+
+  if (!req.user.twoFactor?.enabled) {
+    return res.status(403).json({
+      success: false,
+      message: 'Two-factor authentication must be enabled for admin accounts',
+      requiresTwoFactorSetup: true
+    });
+  }
+
+  // Sessions started before 2FA was enabled haven't passed the second step
+  if (!req.session?.twoFactorVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please login again with your authentication code',
+      requiresTwoFactor: true
+    });
+  }
+
+  next();
+};
+
+// Confirmed email address required (messaging)
+const emailVerifiedOnly = (req, res, next) => {
+  if (!req.user?.hasConfirmedEmail()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please confirm your email address first',
+      requiresEmailVerification: true
+    });
+  }
+  next();
+};
+
+// Verified users only middleware (confirmed email + approved identity)
 const verifiedOnly = (req, res, next) => {
+  if (!req.user?.hasConfirmedEmail()) {
+    return emailVerifiedOnly(req, res, next);
+  }
+
   if (req.user?.verification?.status !== 'approved') {
     return res.status(403).json({
       success: false,
@@ -91,4 +176,12 @@ const verifiedOnly = (req, res, next) => {
   next();
 };
 
-module.exports = { protect, optionalAuth, adminOnly, verifiedOnly };
+module.exports = {
+  protect,
+  optionalAuth,
+  adminOnly,
+  requirePermission,
+  requireAdminTwoFactor,
+  verifiedOnly,
+  emailVerifiedOnly
+};
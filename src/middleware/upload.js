@@ -14,6 +14,9 @@ if (!process.env.VERCEL && !fs.existsSync(uploadDir)) {
   fs.mkdirSync(uploadDir, { recursive: true });
 }
 
+// Images per listing, across every upload to it
+const MAX_LISTING_IMAGES = 10;
+
 // Configure storage
 const storage = multer.diskStorage({
   destination: function(req, file, cb) {
@@ -42,7 +45,7 @@ const upload = multer({
   fileFilter: fileFilter,
   limits: {
     fileSize: 5 * 1024 * 1024, // 5MB max file size
-    files: 10 // Max 10 files
+    files: MAX_LISTING_IMAGES // Max 10 files
   }
 });
 
@@ -123,4 +126,33 @@ const convertToDataUrl = async (req, res, next) => {
   }
 };
 
-module.exports = { upload, handleUploadErrors, compressImages, convertToDataUrl };
+// Delete a stored upload ({ url, filename }). Data URL images live in the database only.
+const removeUploadedFile = async (image) => {
+  if (!image || !image.filename || !String(image.url || '').startsWith('/uploads/')) {
+    return;
+  }
+
+  try {
+    await fsPromises.unlink(path.join(uploadDir, path.basename(image.filename)));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('[UPLOAD] Failed to delete file:', image.filename, error.message);
+    }
+  }
+};
+
+// Stored image entries ({ url, filename }) for uploaded files (dataUrl on Vercel, file path locally)
+const toListingImages = (files = []) => files.map(file => ({
+  url: file.dataUrl || `/uploads/${file.filename}`,
+  filename: file.filename
+}));
+
+module.exports = {
+  MAX_LISTING_IMAGES,
+  upload,
+  handleUploadErrors,
+  compressImages,
+  convertToDataUrl,
+  removeUploadedFile,
+  toListingImages
+};
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { runMigrations } = require('./utils/migrations');
+
+// One-off data migrations, for deploys without a long-running server (Vercel):
+// run `npm run migrate` after deploying a release that adds one.
+const migrate = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mysouqify');
+    console.log('MongoDB connected');
+
+    const succeeded = await runMigrations();
+    await mongoose.disconnect();
+    process.exit(succeeded ? 0 : 1);
+  } catch (error) {
+    console.error('Migration error:', error);
+    process.exit(1);
+  }
+};
+
+migrate();
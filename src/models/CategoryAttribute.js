@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { CATEGORY_NAMES } = require('../utils/catalog');
+
+// One structured attribute of a listing category (e.g. Electronics > storage).
+// Stored in the database so staff can add attributes without a deploy;
+// the initial set is seeded from src/data/categoryAttributes.json.
+const categoryAttributeSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: true,
+    enum: CATEGORY_NAMES
+  },
+  key: {
+    type: String,
+    required: [true, 'Please provide a key'],
+    trim: true,
+    match: [/^[a-z][a-z0-9_]{0,39}$/, 'Key must be lowercase letters, digits and underscores']
+  },
+  label: {
+    type: String,
+    required: [true, 'Please provide a label'],
+    trim: true,
+    maxlength: [60, 'Label cannot exceed 60 characters']
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['string', 'number', 'boolean', 'enum']
+  },
+  // Allowed values for type 'enum'
+  options: {
+    type: [String],
+    default: undefined,
+    required: [function() {
+      return this.type === 'enum';
+    }, 'Enum attributes need at least one option'],
+    validate: {
+      validator: function(options) {
+        return this.type !== 'enum' || (Array.isArray(options) && options.length > 0);
+      },
+      message: 'Enum attributes need at least one option'
+    }
+  },
+  unit: String,
+  min: Number,
+  max: Number,
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Offered as a search filter in GET /api/categories/filters
+  filterable: {
+    type: Boolean,
+    default: true
+  },
+  order: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+categoryAttributeSchema.index({ category: 1, key: 1 }, { unique: true });
+
+// Seed the bundled attribute definitions into an empty collection
+// (once seeded, the database is the source of truth)
+categoryAttributeSchema.statics.seedDefaults = async function() {
+  if (await this.estimatedDocumentCount() > 0) return;
+
+  const defaults = require('../data/categoryAttributes.json');
+  const docs = Object.entries(defaults).flatMap(([category, attributes]) =>
+    attributes.map((attribute, index) => ({ ...attribute, category, order: index }))
+  );
+
+  if (docs.length > 0) {
+    await this.insertMany(docs);
+    console.log(`[MIGRATION] Seeded ${docs.length} category attributes`);
+  }
+};
+
+module.exports = mongoose.model('CategoryAttribute', categoryAttributeSchema);
@@ -1,31 +1,78 @@
 const mongoose = require('mongoose');
+const { PUBLIC_COORDINATE_DECIMALS, getAreaCentroid, toPublicCoordinates } = require('../utils/geo');
+const { buildSearchText } = require('../utils/searchText');
+const { CATEGORY_NAMES, CONDITIONS, AREA_NAMES } = require('../utils/catalog');
+
+// Price changes kept per listing
+const MAX_PRICE_HISTORY = 50;
+
+// Optional title/description in one language
+const translationDefinition = {
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  }
+};
+
+// Drafts may be saved with partial data; every other status needs the full listing
+const requiredUnlessDraft = function() {
+  return this.status !== 'draft';
+};
 
 const listingSchema = new mongoose.Schema({
   title: {
     type: String,
-    required: [true, 'Please provide a title'],
+    required: [requiredUnlessDraft, 'Please provide a title'],
     trim: true,
     maxlength: [100, 'Title cannot exceed 100 characters']
   },
   description: {
     type: String,
-    required: [true, 'Please provide a description'],
+    required: [requiredUnlessDraft, 'Please provide a description'],
     maxlength: [2000, 'Description cannot exceed 2000 characters']
   },
+  // Arabic and English versions, shown to buyers in their language
+  translations: {
+    ar: translationDefinition,
+    en: translationDefinition
+  },
+  // Normalized text of every title and description (see utils/searchText), text-indexed
+  searchText: {
+    type: String,
+    select: false
+  },
   price: {
     type: Number,
-    required: [true, 'Please provide a price'],
+    required: [requiredUnlessDraft, 'Please provide a price'],
     min: [1, 'Price must be at least 1 EGP']
   },
+  // Every price change after the listing was submitted (oldest first)
+  priceHistory: [{
+    _id: false,
+    from: Number,
+    to: Number,
+    changedAt: { type: Date, default: Date.now }
+  }],
+  lastPriceAlertAt: Date,
   category: {
     type: String,
-    required: [true, 'Please select a category'],
-    enum: ['Furniture', 'Electronics', 'Books', 'Kitchen', 'Clothing', 'Sports', 'Toys', 'Other']
+    required: [requiredUnlessDraft, 'Please select a category'],
+    enum: CATEGORY_NAMES
   },
   condition: {
     type: String,
-    required: [true, 'Please select condition'],
-    enum: ['New', 'Like New', 'Good', 'Fair']
+    required: [requiredUnlessDraft, 'Please select condition'],
+    enum: CONDITIONS
+  },
+  // Category-specific attributes (definitions in CategoryAttribute), e.g. { brand: 'Apple', storage: 256 }
+  attributes: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed
   },
   images: [{
     url: String,
@@ -34,17 +81,28 @@ const listingSchema = new mongoose.Schema({
   location: {
     area: {
       type: String,
-      required: [true, 'Please provide location area'],
-      enum: [
-        'Maadi', 'New Cairo', 'Zamalek', 'Downtown', 'Heliopolis', 
-        'Nasr City', 'Sheikh Zayed', '6th of October', 'Giza', 
-        'Mohandessin', 'Dokki', 'Tagamoa', 'Rehab', 'Madinet Nasr',
-        'El Mokattam', 'Ain Shams', 'Shubra', 'Other'
-      ]
+      required: [requiredUnlessDraft, 'Please provide location area'],
+      enum: AREA_NAMES
     },
     city: {
       type: String,
       default: 'Cairo'
+    },
+    // Exact pin when the seller shared one (pinned), otherwise the area centroid.
+    // Never searched on and only ever returned rounded (see toJSON below).
+    point: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined }
+    },
+    // The point rounded to public precision. Radius search and distance sorting
+    // use this one, so probing them can't reveal more than the API shows.
+    publicPoint: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined }
+    },
+    pinned: {
+      type: Boolean,
+      default: false
     }
   },
   seller: {
@@ -54,9 +112,33 @@ const listingSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['active', 'sold', 'pending', 'removed'],
+    enum: ['draft', 'scheduled', 'active', 'expired', 'sold', 'pending', 'removed'],
     default: 'active'
   },
+  // Approved listings with a future publishAt wait as 'scheduled' until then
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  publishedAt: Date,
+  // Live listings expire (status 'expired') unless the seller renews them
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  expiryReminderSentAt: {
+    type: Date,
+    default: null
+  },
+  renewedAt: Date,
+  // Set while the listing is 'pending' (reserved for one buyer)
+  reservation: {
+    buyer: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    conversation: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation' },
+    offer: { type: mongoose.Schema.Types.ObjectId, ref: 'Offer' },
+    reservedAt: Date,
+    expiresAt: Date
+  },
   featured: {
     type: Boolean,
     default: false
@@ -104,11 +186,23 @@ const listingSchema = new mongoose.Schema({
     default: null
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform(doc, ret) {
+      // Never reveal the seller's exact pin
+      if (ret.location?.point?.coordinates) {
+        ret.location.point.coordinates = toPublicCoordinates(ret.location.point.coordinates);
+      }
+      if (ret.location) delete ret.location.publicPoint;
+      // Internal search index field
+      delete ret.searchText;
+      return ret;
+    }
+  }
 });
 
 // Indexes for search and filtering
-listingSchema.index({ title: 'text', description: 'text' });
+listingSchema.index({ searchText: 'text' }, { name: 'listing_search_text' });
 listingSchema.index({ category: 1, status: 1 });
 listingSchema.index({ 'location.area': 1 });
 listingSchema.index({ price: 1 });
@@ -117,12 +211,76 @@ listingSchema.index({ createdAt: -1 });
 listingSchema.index({ views: -1 });
 listingSchema.index({ seller: 1 });
 listingSchema.index({ featured: -1, createdAt: -1 });
+listingSchema.index({ status: 1, publishAt: 1 });
+listingSchema.index({ status: 1, expiresAt: 1 });
+listingSchema.index({ status: 1, 'reservation.expiresAt': 1 });
+listingSchema.index({ 'location.publicPoint': '2dsphere' });
+listingSchema.index({ 'attributes.$**': 1 });
+
+// Keep the search text in step with the titles and descriptions
+listingSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('title') || this.isModified('description') || this.isModified('translations')) {
+    this.searchText = buildSearchText(this);
+  }
+  next();
+});
+
+const samePosition = (a, b) => Boolean(a && b && a[0] === b[0] && a[1] === b[1]);
 
+// Listings without an exact pin sit at their area's centroid;
+// the searchable public point follows the point
+listingSchema.pre('validate', function(next) {
+  const { location } = this;
+  if (location?.area && !(location.pinned && location.point?.coordinates?.length === 2)) {
+    const centroid = getAreaCentroid(location.area);
+    if (centroid && !samePosition(location.point?.coordinates, centroid)) {
+      this.set('location.point', { type: 'Point', coordinates: centroid });
+    }
+    this.set('location.pinned', false);
+  }
+
+  const coordinates = this.location?.point?.coordinates;
+  if (coordinates?.length === 2) {
+    const rounded = toPublicCoordinates(coordinates);
+    if (!samePosition(this.location.publicPoint?.coordinates, rounded)) {
+      this.set('location.publicPoint', { type: 'Point', coordinates: rounded });
+    }
+  }
+  next();
+});
 // Virtual for formatted price
 listingSchema.virtual('formattedPrice').get(function() {
-  return `EGP ${this.price.toLocaleString()}`;
+  return this.price != null ? `EGP ${this.price.toLocaleString()}` : '';
 });
 
+// Change the price, recording the old one (drafts keep no history).
+// Returns { from, to } when a change was recorded, otherwise null.
+listingSchema.methods.changePrice = function(newPrice) {
+  const oldPrice = this.price;
+  if (newPrice === oldPrice) return null;
+
+  this.price = newPrice;
+  if (this.status === 'draft' || oldPrice == null) return null;
+
+  this.priceHistory.push({ from: oldPrice, to: newPrice, changedAt: new Date() });
+  if (this.priceHistory.length > MAX_PRICE_HISTORY) {
+    this.priceHistory.splice(0, this.priceHistory.length - MAX_PRICE_HISTORY);
+  }
+  return { from: oldPrice, to: newPrice };
+};
+
+// Latest change if it lowered the price to the current one ("was 3,000 EGP")
+listingSchema.methods.getPriceDrop = function() {
+  const last = this.priceHistory[this.priceHistory.length - 1];
+  if (!last || last.to !== this.price || last.to >= last.from) return null;
+
+  return {
+    previousPrice: last.from,
+    percent: Math.round(((last.from - last.to) / last.from) * 100),
+    changedAt: last.changedAt
+  };
+};
+
 // Update views
 listingSchema.methods.incrementViews = async function() {
   this.views += 1;
@@ -138,11 +296,88 @@ listingSchema.methods.getSummary = function() {
     category: this.category,
     condition: this.condition,
     image: this.images[0]?.url || '',
-    location: this.location,
+    location: this.toJSON().location,
     views: this.views,
     featured: this.featured,
     createdAt: this.createdAt
   };
 };
 
+// Replace the old title/description text index with the normalized searchText one
+// (idempotent - only touches listings without search text)
+listingSchema.statics.migrateSearchText = async function() {
+  const indexes = await this.collection.indexes().catch(() => []);
+  const legacyIndex = indexes.find(index => index.name === 'title_text_description_text');
+  if (legacyIndex) {
+    await this.collection.dropIndex(legacyIndex.name);
+  }
+
+  let updated = 0;
+  let operations = [];
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await this.bulkWrite(operations);
+    updated += operations.length;
+    operations = [];
+  };
+
+  const cursor = this.find({ searchText: null })
+    .select('title description translations')
+    .lean()
+    .cursor();
+
+  for await (const listing of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { _id: listing._id },
+        update: { $set: { searchText: buildSearchText(listing) } }
+      }
+    });
+    if (operations.length >= 500) await flush();
+  }
+  await flush();
+
+  // The new text index couldn't be built while the old one existed
+  if (legacyIndex) {
+    await this.createIndexes();
+  }
+
+  if (updated > 0 || legacyIndex) {
+    console.log(`[MIGRATION] Built search text for ${updated} listings`);
+  }
+};
+
+// Place listings created before coordinates existed at their area's centroid,
+// and give every point its rounded public copy
+// (idempotent - only touches listings without a point or public point)
+listingSchema.statics.backfillLocationPoints = async function() {
+  // Searching moved from the exact point to the public point
+  const indexes = await this.collection.indexes().catch(() => []);
+  if (indexes.some(index => index.name === 'location.point_2dsphere')) {
+    await this.collection.dropIndex('location.point_2dsphere');
+  }
+
+  let updated = 0;
+  for (const area of this.schema.path('location.area').enumValues) {
+    const result = await this.updateMany(
+      { 'location.area': area, 'location.point.coordinates': { $exists: false } },
+      { $set: { 'location.point': { type: 'Point', coordinates: getAreaCentroid(area) }, 'location.pinned': false } }
+    );
+    updated += result.modifiedCount;
+  }
+
+  if (updated > 0) {
+    console.log(`[MIGRATION] Set area coordinates on ${updated} listings`);
+  }
+
+  const round = index => ({ $round: [{ $arrayElemAt: ['$location.point.coordinates', index] }, PUBLIC_COORDINATE_DECIMALS] });
+  const result = await this.updateMany(
+    { 'location.point.coordinates': { $exists: true }, 'location.publicPoint.coordinates': { $exists: false } },
+    [{ $set: { 'location.publicPoint': { type: 'Point', coordinates: [round(0), round(1)] } } }]
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`[MIGRATION] Set public coordinates on ${result.modifiedCount} listings`);
+  }
+};
+
 module.exports = mongoose.model('Listing', listingSchema);
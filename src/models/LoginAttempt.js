@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Failed login counters, shared by all server instances.
+// One document per key: "account:<email>" or "ip:<address>"
+const loginAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  kind: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  blockedUntil: Date,
+  locked: {
+    type: Boolean,
+    default: false
+  },
+  lastFailureAt: Date,
+  lastIp: String,
+  // Counters reset after a quiet period
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+loginAttemptSchema.index({ locked: 1, blockedUntil: -1 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
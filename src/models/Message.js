@@ -65,6 +65,11 @@ const messageSchema = new mongoose.Schema({
     enum: ['text', 'image', 'system'],
     default: 'text'
   },
+  // Offer a system message reports on (offer made, countered, accepted...)
+  offer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Offer'
+  },
   attachments: [{
     url: String,
     type: String,
@@ -80,7 +85,8 @@ const messageSchema = new mongoose.Schema({
 });
 
 // Indexes
-messageSchema.index({ conversation: 1, createdAt: -1 });
+// _id breaks ties between messages sent in the same millisecond (cursor pagination)
+messageSchema.index({ conversation: 1, createdAt: -1, _id: -1 });
 messageSchema.index({ sender: 1 });
 
 const Conversation = mongoose.model('Conversation', conversationSchema);
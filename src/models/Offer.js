@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Price negotiation between a buyer and the seller of a listing.
+// One document per negotiation: counters update `amount` and are kept in `history`.
+const offerSchema = new mongoose.Schema({
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  // Price currently on the table
+  amount: {
+    type: Number,
+    required: [true, 'Please provide an amount'],
+    min: [1, 'Offer must be at least 1 EGP']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'withdrawn', 'expired'],
+    default: 'pending'
+  },
+  // Who made the current proposal; the other party responds
+  proposedBy: {
+    type: String,
+    enum: ['buyer', 'seller'],
+    default: 'buyer'
+  },
+  // Every proposal in order (the first one is the buyer's offer)
+  history: [{
+    _id: false,
+    by: { type: String, enum: ['buyer', 'seller'] },
+    amount: Number,
+    createdAt: { type: Date, default: Date.now }
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: Date
+}, {
+  timestamps: true
+});
+
+offerSchema.index({ listing: 1, status: 1 });
+offerSchema.index({ buyer: 1, createdAt: -1 });
+offerSchema.index({ seller: 1, createdAt: -1 });
+offerSchema.index({ status: 1, expiresAt: 1 });
+
+// 'buyer' | 'seller' | null for a user ID
+offerSchema.methods.getRole = function(userId) {
+  const id = userId.toString();
+  if ((this.buyer._id || this.buyer).toString() === id) return 'buyer';
+  if ((this.seller._id || this.seller).toString() === id) return 'seller';
+  return null;
+};
+
+module.exports = mongoose.model('Offer', offerSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Saved listing search with new-match alerts
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [60, 'Name cannot exceed 60 characters']
+  },
+  // Same filters as GET /api/listings
+  filters: {
+    category: String,
+    condition: String,
+    location: String,
+    minPrice: Number,
+    maxPrice: Number,
+    search: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Search text cannot exceed 100 characters']
+    }
+  },
+  alerts: {
+    type: Boolean,
+    default: true
+  },
+  // Matches waiting for the next email digest
+  pendingMatches: [{
+    _id: false,
+    listing: { type: mongoose.Schema.Types.ObjectId, ref: 'Listing' },
+    matchedAt: { type: Date, default: Date.now }
+  }],
+  lastMatchAt: Date,
+  lastDigestAt: Date
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ alerts: 1, 'filters.category': 1 });
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A search people ran on GET /api/listings that found listings,
+// counted for search suggestions. Not linked to the user who searched.
+const searchTermSchema = new mongoose.Schema({
+  // Normalized text (see utils/searchText), what suggestions match against
+  term: {
+    type: String,
+    required: true,
+    unique: true,
+    maxlength: 60
+  },
+  // Most recent spelling as typed, shown in suggestions
+  display: {
+    type: String,
+    required: true,
+    maxlength: 60
+  },
+  // Distinct searchers (see clients)
+  count: {
+    type: Number,
+    default: 0
+  },
+  // Keyed hashes of the latest searchers, so repeated searches by one
+  // user or IP count once
+  clients: {
+    type: [String],
+    select: false
+  },
+  lastSearchedAt: Date
+}, {
+  timestamps: true
+});
+
+searchTermSchema.index({ count: -1 });
+
+module.exports = mongoose.model('SearchTerm', searchTermSchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// Events are kept for SECURITY_LOG_RETENTION_DAYS, then removed by MongoDB
+const RETENTION_DAYS = Number(process.env.SECURITY_LOG_RETENTION_DAYS) || 365;
+
+const EVENT_TYPES = [
+  'login',
+  'login_failed',
+  'login_locked',
+  'logout',
+  'session_revoked',
+  'refresh_token_reuse',
+  'password_changed',
+  'password_set',
+  'password_reset_requested',
+  'password_reset',
+  'two_factor_enabled',
+  'two_factor_disabled',
+  'recovery_codes_regenerated',
+  'provider_linked',
+  'provider_unlinked',
+  'email_verified',
+  'phone_verified',
+  'account_activated',
+  'account_deactivated',
+  'role_changed',
+  'lockout_cleared',
+  'account_deletion_requested',
+  'account_deletion_cancelled'
+];
+
+// Append-only security event log
+const securityEventSchema = new mongoose.Schema({
+  // Account the event is about
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Who performed it (the user themselves, or an admin)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    default: 'success'
+  },
+  ip: String,
+  userAgent: String,
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+securityEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Events can be added, never changed or removed (retention is handled by the TTL index)
+const rejectMutation = function(next) {
+  next(new Error('Security events are append-only'));
+};
+
+securityEventSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+securityEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: true, query: true },
+  rejectMutation
+);
+
+// Apply a changed SECURITY_LOG_RETENTION_DAYS to the existing TTL index
+securityEventSchema.statics.syncRetention = async function() {
+  const expireAfterSeconds = RETENTION_DAYS * 24 * 60 * 60;
+
+  try {
+    await this.db.db.command({
+      collMod: this.collection.collectionName,
+      index: { keyPattern: { createdAt: 1 }, expireAfterSeconds }
+    });
+  } catch (error) {
+    // Collection or index not created yet - the schema index will use the current value
+    if (error.codeName !== 'NamespaceNotFound' && error.codeName !== 'IndexNotFound') {
+      console.error('[AUDIT] Failed to update retention:', error.message);
+    }
+  }
+};
+
+securityEventSchema.statics.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+// Previously rotated refresh token hashes kept per session for reuse detection
+const MAX_USED_TOKENS = 20;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// One session per logged-in device, holding the current refresh token
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  usedTokenHashes: {
+    type: [String],
+    select: false
+  },
+  userAgent: String,
+  ip: String,
+  twoFactorVerified: {
+    type: Boolean,
+    default: false
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'password_change', 'password_reset', 'deactivated', 'reuse_detected']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Mongo removes expired sessions
+
+// Split "<sessionId>.<secret>" refresh token
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+// Start a new session and return its access + refresh tokens
+sessionSchema.statics.start = async function(user, req, { twoFactorVerified = false } = {}) {
+  const secret = crypto.randomBytes(40).toString('hex');
+
+  const session = await this.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    twoFactorVerified,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return {
+    session,
+    token: user.generateToken(session._id),
+    refreshToken: `${session._id}.${secret}`
+  };
+};
+
+// Exchange a refresh token for a new one.
+// Returns { status: 'ok' | 'invalid' | 'reused', session, refreshToken }
+sessionSchema.statics.rotate = async function(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { status: 'invalid' };
+
+  const presentedHash = hashToken(parsed.secret);
+  const session = await this.findById(parsed.sessionId).select('+refreshTokenHash +usedTokenHashes');
+
+  if (!session || !session.isValid()) {
+    return { status: 'invalid', session };
+  }
+
+  // An already-rotated token was presented again: someone else holds a copy
+  if (session.usedTokenHashes.includes(presentedHash)) {
+    await session.revoke('reuse_detected');
+    return { status: 'reused', session };
+  }
+
+  const secret = crypto.randomBytes(40).toString('hex');
+
+  // Conditional update so two concurrent refreshes can't both succeed
+  const rotated = await this.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: { refreshTokenHash: hashToken(secret), lastUsedAt: new Date() },
+      $push: { usedTokenHashes: { $each: [presentedHash], $slice: -MAX_USED_TOKENS } }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    return { status: 'invalid', session };
+  }
+
+  return {
+    status: 'ok',
+    session: rotated,
+    refreshToken: `${rotated._id}.${secret}`
+  };
+};
+
+// Revoke every active session of a user (optionally keeping one)
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+sessionSchema.methods.isValid = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+sessionSchema.methods.revoke = async function(reason = 'revoked') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  await this.save();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
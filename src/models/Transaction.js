@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Completed sale: created when the seller marks a listing as sold to a buyer
+const transactionSchema = new mongoose.Schema({
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true
+  },
+  // Kept so the history still reads well after the listing is deleted
+  title: String,
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  },
+  // Accepted offer the price came from, if any
+  offer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Offer'
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+  soldAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+transactionSchema.index({ seller: 1, soldAt: -1 });
+transactionSchema.index({ buyer: 1, soldAt: -1 });
+transactionSchema.index({ listing: 1 });
+
+module.exports = mongoose.model('Transaction', transactionSchema);
@@ -1,6 +1,21 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const totp = require('../utils/totp');
+const { ROLE_NAMES, getRolePermissions, roleHasPermission } = require('../utils/permissions');
+const { NOTIFICATION_DEFAULTS } = require('../utils/notificationPreferences');
+
+// { [category]: { inApp, email, push } } with per-category defaults
+const notificationPreferencesDefinition = Object.fromEntries(
+  Object.entries(NOTIFICATION_DEFAULTS).map(([category, channels]) => [
+    category,
+    Object.fromEntries(Object.entries(channels).map(([channel, enabled]) => [
+      channel,
+      { type: Boolean, default: enabled }
+    ]))
+  ])
+);
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -16,16 +31,44 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email']
   },
+  // No default: accounts from before email confirmation have no value and count
+  // as confirmed (see hasConfirmedEmail). A default would be saved onto them.
+  emailVerified: Boolean,
+  emailVerifiedAt: Date,
+  emailVerificationSentAt: Date,
   password: {
     type: String,
     required: function() { return !this.googleId && !this.facebookId; },
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
+  passwordChangedAt: Date,
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
   phone: {
     type: String,
     match: [/^[0-9+][0-9\s-]{7,15}$/, 'Please provide a valid phone number']
   },
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: Date,
+  phoneVerification: {
+    codeHash: { type: String, select: false },
+    phone: String,
+    expiresAt: Date,
+    attempts: { type: Number, default: 0 },
+    sentAt: Date,
+    sendCount: { type: Number, default: 0 },
+    windowStart: Date
+  },
   avatar: {
     type: String,
     default: ''
@@ -50,12 +93,20 @@ const userSchema = new mongoose.Schema({
   }],
   notifications: [{
     type: { type: String, enum: ['message', 'listing', 'system'] },
+    category: String,
     title: String,
     content: String,
     read: { type: Boolean, default: false },
     relatedId: mongoose.Schema.Types.ObjectId,
     createdAt: { type: Date, default: Date.now }
   }],
+  notificationPreferences: notificationPreferencesDefinition,
+  role: {
+    type: String,
+    enum: ROLE_NAMES,
+    default: 'user'
+  },
+  // Derived from role: true for every staff role
   isAdmin: {
     type: Boolean,
     default: false
@@ -64,6 +115,14 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: { type: [String], select: false },
+    lastUsedStep: { type: Number, select: false },
+    enabledAt: Date
+  },
   verification: {
     status: {
       type: String,
@@ -89,6 +148,11 @@ const userSchema = new mongoose.Schema({
   lastSeen: {
     type: Date,
     default: Date.now
+  },
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date,
+    completedAt: Date
   }
 }, {
   timestamps: true
@@ -97,6 +161,7 @@ const userSchema = new mongoose.Schema({
 // Index for search
 userSchema.index({ name: 'text', email: 'text' });
 userSchema.index({ location: 1 });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -105,20 +170,131 @@ userSchema.pre('save', async function(next) {
   }
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+
+  // Tokens issued before a password change are no longer valid.
+  // Backdated by a second so the token issued right after still passes (iat has second precision).
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date(Date.now() - 1000);
+  }
+  next();
+});
+
+// Keep the legacy isAdmin flag in sync with the role
+userSchema.pre('save', function(next) {
+  if (this.isModified('role')) {
+    this.isAdmin = this.role !== 'user';
+  }
   next();
 });
 
+// Admins created before roles existed are loaded with the 'user' default, which a
+// save would persist: promote them on load, so they never lose access before the
+// migration below has run
+userSchema.post('init', function() {
+  if (this.isAdmin && this.role === 'user') {
+    this.role = 'superadmin';
+  }
+});
+
+// Promote admins created before roles existed (one-off, idempotent). Matches 'user'
+// too, in case the role default was saved onto a legacy admin.
+userSchema.statics.migrateLegacyAdmins = async function() {
+  const result = await this.updateMany(
+    { isAdmin: true, role: { $in: [null, 'user'] } },
+    { $set: { role: 'superadmin' } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`[MIGRATION] Assigned superadmin role to ${result.modifiedCount} legacy admins`);
+  }
+};
+
+// Accounts created before email verification existed keep full access
+// (one-off, idempotent - new accounts always set the field)
+userSchema.statics.backfillEmailVerified = async function() {
+  const result = await this.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`[MIGRATION] Marked ${result.modifiedCount} existing users as email verified`);
+  }
+};
+
+// Permission checks
+userSchema.methods.hasPermission = function(permission) {
+  return roleHasPermission(this.role, permission);
+};
+
+userSchema.methods.getPermissions = function() {
+  return getRolePermissions(this.role);
+};
+
+// Confirmed email address (accounts from before confirmation existed count as confirmed)
+userSchema.methods.hasConfirmedEmail = function() {
+  return this.emailVerified !== false;
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate JWT
-userSchema.methods.generateToken = function() {
+// Generate short-lived access token bound to a session
+userSchema.methods.generateToken = function(sessionId) {
+  return jwt.sign(
+    { id: this._id, sid: sessionId, email: this.email, role: this.role },
+    process.env.JWT_SECRET || 'market-cairo-jwt-secret',
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRE || '15m' }
+  );
+};
+
+// Check whether the password changed after a token was issued
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Create single-use password reset token (only the hash is stored)
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+
+  return resetToken;
+};
+
+// Check a TOTP or recovery code (requires the twoFactor secret fields to be selected).
+// Consumes the code on success - caller must save the user.
+userSchema.methods.checkTwoFactorCode = function({ code, recoveryCode }) {
+  if (!this.twoFactor || !this.twoFactor.enabled || !this.twoFactor.secret) return false;
+
+  if (code) {
+    const step = totp.verifyCode(this.twoFactor.secret, code, {
+      lastUsedStep: this.twoFactor.lastUsedStep
+    });
+    if (step === null) return false;
+    this.twoFactor.lastUsedStep = step; // Reject replay of the same code
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hashed = totp.hashRecoveryCode(recoveryCode);
+    const index = (this.twoFactor.recoveryCodes || []).indexOf(hashed);
+    if (index === -1) return false;
+    this.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
+// Generate signed email verification token (bound to the current email address)
+userSchema.methods.generateEmailVerificationToken = function() {
   return jwt.sign(
-    { id: this._id, email: this.email, isAdmin: this.isAdmin },
+    { id: this._id, email: this.email, purpose: 'email_verification' },
     process.env.JWT_SECRET || 'market-cairo-jwt-secret',
-    { expiresIn: process.env.JWT_EXPIRE || '30d' }
+    { expiresIn: process.env.EMAIL_VERIFICATION_EXPIRE || '24h' }
   );
 };
 
@@ -131,6 +307,7 @@ userSchema.methods.getPublicProfile = function() {
     location: this.location,
     rating: this.rating,
     salesCount: this.salesCount,
+    phoneVerified: Boolean(this.phoneVerified),
     createdAt: this.createdAt
   };
 };
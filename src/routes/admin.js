@@ -1,17 +1,38 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const { protect, adminOnly } = require('../middleware/auth');
+const { protect, adminOnly, requirePermission, requireAdminTwoFactor } = require('../middleware/auth');
+const { ROLES, ROLE_NAMES } = require('../utils/permissions');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const Listing = require('../models/Listing');
-
-// All routes require authentication and admin role
+const LoginAttempt = require('../models/LoginAttempt');
+const SecurityEvent = require('../models/SecurityEvent');
+const CategoryAttribute = require('../models/CategoryAttribute');
+const { clearAccountLockout, getAccountLockouts } = require('../utils/loginThrottle');
+const { logSecurityEvent } = require('../utils/securityLog');
+const { notifyUser } = require('../utils/notificationService');
+const { publishListing } = require('../utils/listingExpiry');
+const { matchSavedSearches } = require('../utils/savedSearches');
+const { clearAttributeCache } = require('../utils/categoryAttributes');
+const { withTieBreaker, decodeCursor, applyCursor, parseCursorLimit, buildCursorPage } = require('../utils/pagination');
+const {
+  sendListingApproved,
+  sendListingRejected,
+  sendVerificationApproved,
+  sendVerificationRejected
+} = require('../utils/emailService');
+
+// All routes require authentication, a staff role and (by policy) 2FA.
+// Each route additionally requires its own permission.
 router.use(protect);
 router.use(adminOnly);
+router.use(requireAdminTwoFactor);
 
 // @route   GET /api/admin/dashboard/stats
 // @desc    Get dashboard statistics
 // @access  Admin
-router.get('/dashboard/stats', async (req, res) => {
+router.get('/dashboard/stats', requirePermission('dashboard.view'), async (req, res) => {
   try {
     // Get user statistics
     const totalUsers = await User.countDocuments();
@@ -22,10 +43,15 @@ router.get('/dashboard/stats', async (req, res) => {
     });
 
     // Get listing statistics
-    const totalListings = await Listing.countDocuments();
+    // Drafts are private to their seller and not counted
+    const notDraft = { status: { $ne: 'draft' } };
+    const totalListings = await Listing.countDocuments(notDraft);
     const activeListings = await Listing.countDocuments({ status: 'active' });
     const soldListings = await Listing.countDocuments({ status: 'sold' });
+    const scheduledListings = await Listing.countDocuments({ status: 'scheduled' });
+    const expiredListings = await Listing.countDocuments({ status: 'expired' });
     const pendingListings = await Listing.countDocuments({
+      ...notDraft,
       moderationStatus: 'pending'
     });
     const reportedListings = await Listing.countDocuments({
@@ -34,18 +60,19 @@ router.get('/dashboard/stats', async (req, res) => {
 
     // Get category breakdown
     const categoryCounts = await Listing.aggregate([
+      { $match: notDraft },
       { $group: { _id: '$category', count: { $sum: 1 } } },
       { $sort: { count: -1 } }
     ]);
 
     // Get recent users (last 10)
     const recentUsers = await User.find()
-      .select('name email createdAt isAdmin isActive')
+      .select('name email createdAt role isAdmin isActive')
       .sort({ createdAt: -1 })
       .limit(10);
 
     // Get recent listings (last 10)
-    const recentListings = await Listing.find()
+    const recentListings = await Listing.find(notDraft)
       .populate('seller', 'name email')
       .select('title price category status createdAt')
       .sort({ createdAt: -1 })
@@ -65,6 +92,8 @@ router.get('/dashboard/stats', async (req, res) => {
           active: activeListings,
           sold: soldListings,
           pending: pendingListings,
+          scheduled: scheduledListings,
+          expired: expiredListings,
           reported: reportedListings
         },
         categories: categoryCounts,
@@ -82,16 +111,17 @@ router.get('/dashboard/stats', async (req, res) => {
 });
 
 // @route   GET /api/admin/users
-// @desc    Get all users with pagination and search
+// @desc    Get all users with pagination and search (cursor= for cursor pagination)
 // @access  Admin
-router.get('/users', async (req, res) => {
+router.get('/users', requirePermission('users.view'), async (req, res) => {
   try {
     const {
       page = 1,
       limit = 20,
       search = '',
       role = 'all',
-      status = 'all'
+      status = 'all',
+      cursor
     } = req.query;
 
     const query = {};
@@ -104,11 +134,14 @@ router.get('/users', async (req, res) => {
       ];
     }
 
-    // Filter by role
+    // Filter by role ('admin' = any staff role)
     if (role === 'admin') {
       query.isAdmin = true;
     } else if (role === 'user') {
-      query.isAdmin = false;
+      // Accounts from before roles existed have no role
+      query.isAdmin = { $ne: true };
+    } else if (ROLE_NAMES.includes(role)) {
+      query.role = role;
     }
 
     // Filter by status
@@ -116,19 +149,62 @@ router.get('/users', async (req, res) => {
       query.isActive = true;
     } else if (status === 'inactive') {
       query.isActive = false;
+    } else if (status === 'locked') {
+      const lockedAttempts = await LoginAttempt.find({
+        kind: 'account',
+        locked: true,
+        blockedUntil: { $gt: new Date() }
+      }).select('key');
+      query.email = { $in: lockedAttempts.map(attempt => attempt.key.slice('account:'.length)) };
+    }
+
+    const sortOption = { createdAt: -1 };
+
+    // Attach active login lockouts
+    const withLockouts = async (users) => {
+      const lockouts = await getAccountLockouts(users.map(user => user.email));
+      return users.map(user => ({
+        ...user.toObject(),
+        lockedUntil: lockouts[user.email] || null
+      }));
+    };
+
+    if (cursor !== undefined) {
+      const { filter, error } = decodeCursor(cursor, sortOption, User.schema);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      const pageLimit = parseCursorLimit(limit);
+      const docs = await User.find(applyCursor(query, filter))
+        .select('-password')
+        .sort(withTieBreaker(sortOption))
+        .limit(pageLimit + 1);
+
+      const { items, nextCursor } = buildCursorPage(docs, pageLimit, sortOption);
+
+      return res.json({
+        success: true,
+        users: await withLockouts(items),
+        nextCursor
+      });
     }
 
     const users = await User.find(query)
       .select('-password')
-      .sort({ createdAt: -1 })
+      .sort(sortOption)
       .limit(limit * 1)
       .skip((page - 1) * limit);
 
     const count = await User.countDocuments(query);
+    const usersWithLockout = await withLockouts(users);
 
     res.json({
       success: true,
-      users,
+      users: usersWithLockout,
       totalPages: Math.ceil(count / limit),
       currentPage: page,
       totalUsers: count
@@ -142,11 +218,152 @@ router.get('/users', async (req, res) => {
   }
 });
 
-// @route   PUT /api/admin/users/:id/role
-// @desc    Toggle user admin role
+// @route   GET /api/admin/users/lockouts
+// @desc    Get active login lockouts (accounts and IPs)
+// @access  Admin
+router.get('/users/lockouts', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const lockouts = await LoginAttempt.find({
+      locked: true,
+      blockedUntil: { $gt: new Date() }
+    }).sort({ blockedUntil: -1 });
+
+    const emails = lockouts
+      .filter(lockout => lockout.kind === 'account')
+      .map(lockout => lockout.key.slice('account:'.length));
+    const users = await User.find({ email: { $in: emails } }).select('name email');
+    const usersByEmail = users.reduce((acc, user) => {
+      acc[user.email] = user;
+      return acc;
+    }, {});
+
+    res.json({
+      success: true,
+      lockouts: lockouts.map(lockout => {
+        const value = lockout.key.slice(lockout.kind.length + 1);
+        return {
+          _id: lockout._id,
+          kind: lockout.kind,
+          value,
+          user: lockout.kind === 'account' ? usersByEmail[value] || null : null,
+          lockedUntil: lockout.blockedUntil,
+          lockCount: lockout.lockCount,
+          lastFailureAt: lockout.lastFailureAt,
+          lastIp: lockout.lastIp
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch lockouts'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/lockouts/:id
+// @desc    Clear a single lockout (account or IP)
+// @access  Admin
+router.delete('/users/lockouts/:id', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const lockout = await LoginAttempt.findByIdAndDelete(req.params.id);
+
+    if (!lockout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lockout not found'
+      });
+    }
+
+    const value = lockout.key.slice(lockout.kind.length + 1);
+    const lockedUser = lockout.kind === 'account'
+      ? await User.findOne({ email: value }).select('_id')
+      : null;
+
+    await logSecurityEvent(req, {
+      type: 'lockout_cleared',
+      user: lockedUser?._id,
+      actor: req.user._id,
+      metadata: { kind: lockout.kind, value }
+    });
+
+    res.json({
+      success: true,
+      message: 'Lockout cleared'
+    });
+  } catch (error) {
+    console.error('Clear lockout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear lockout'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/lockout
+// @desc    Clear login lockout of a user
+// @access  Admin
+router.delete('/users/:id/lockout', requirePermission('users.manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const cleared = await clearAccountLockout(user.email);
+
+    if (cleared) {
+      await logSecurityEvent(req, {
+        type: 'lockout_cleared',
+        user: user._id,
+        actor: req.user._id,
+        metadata: { kind: 'account', value: user.email }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: cleared ? 'Lockout cleared' : 'User was not locked out'
+    });
+  } catch (error) {
+    console.error('Clear user lockout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear lockout'
+    });
+  }
+});
+
+// @route   GET /api/admin/roles
+// @desc    Get available roles and their permissions
 // @access  Admin
-router.put('/users/:id/role', async (req, res) => {
+router.get('/roles', requirePermission('dashboard.view'), (req, res) => {
+  res.json({
+    success: true,
+    roles: Object.entries(ROLES).map(([name, permissions]) => ({ name, permissions })),
+    myPermissions: req.user.getPermissions()
+  });
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Assign a role to a user
+// @access  Superadmin (roles.manage)
+router.put('/users/:id/role', requirePermission('roles.manage'), async (req, res) => {
   try {
+    const { role } = req.body;
+
+    if (!ROLE_NAMES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Use one of: ${ROLE_NAMES.join(', ')}`
+      });
+    }
+
     const user = await User.findById(req.params.id);
 
     if (!user) {
@@ -156,30 +373,39 @@ router.put('/users/:id/role', async (req, res) => {
       });
     }
 
-    // Prevent removing own admin role
+    // Prevent changing own role
     if (user._id.toString() === req.user._id.toString()) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot modify your own admin role'
+        message: 'Cannot modify your own role'
       });
     }
 
-    user.isAdmin = !user.isAdmin;
+    const previousRole = user.role;
+    user.role = role;
     await user.save();
 
+    await logSecurityEvent(req, {
+      type: 'role_changed',
+      user: user._id,
+      actor: req.user._id,
+      metadata: { from: previousRole, to: role }
+    });
+
     res.json({
       success: true,
-      message: `User ${user.isAdmin ? 'promoted to' : 'removed from'} admin`,
+      message: `User role changed from ${previousRole} to ${role}`,
       user: {
         _id: user._id,
         name: user.name,
         email: user.email,
+        role: user.role,
         isAdmin: user.isAdmin,
         isActive: user.isActive
       }
     });
   } catch (error) {
-    console.error('Toggle role error:', error);
+    console.error('Change role error:', error);
     res.status(500).json({
       success: false,
       message: 'Failed to update user role'
@@ -190,7 +416,7 @@ router.put('/users/:id/role', async (req, res) => {
 // @route   PUT /api/admin/users/:id/status
 // @desc    Toggle user active status
 // @access  Admin
-router.put('/users/:id/status', async (req, res) => {
+router.put('/users/:id/status', requirePermission('users.manage'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
 
@@ -209,9 +435,28 @@ router.put('/users/:id/status', async (req, res) => {
       });
     }
 
+    // Only superadmins may act on superadmins
+    if (user.hasPermission('roles.manage') && !req.user.hasPermission('roles.manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+
     user.isActive = !user.isActive;
     await user.save();
 
+    // Deactivation signs the user out everywhere
+    if (!user.isActive) {
+      await Session.revokeAllForUser(user._id, 'deactivated');
+    }
+
+    await logSecurityEvent(req, {
+      type: user.isActive ? 'account_activated' : 'account_deactivated',
+      user: user._id,
+      actor: req.user._id
+    });
+
     res.json({
       success: true,
       message: `User account ${user.isActive ? 'activated' : 'deactivated'}`,
@@ -219,6 +464,7 @@ router.put('/users/:id/status', async (req, res) => {
         _id: user._id,
         name: user.name,
         email: user.email,
+        role: user.role,
         isAdmin: user.isAdmin,
         isActive: user.isActive
       }
@@ -232,10 +478,101 @@ router.put('/users/:id/status', async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/security-events
+// @desc    Query the security audit log by user, type, outcome and time range
+// @access  Admin
+router.get('/security-events', requirePermission('security.audit'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      user,
+      actor,
+      type,
+      outcome,
+      ip,
+      from,
+      to
+    } = req.query;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const query = {};
+
+    // User by ID or email
+    if (user) {
+      if (mongoose.Types.ObjectId.isValid(user)) {
+        query.user = user;
+      } else {
+        const subject = await User.findOne({ email: String(user).toLowerCase() }).select('_id');
+        if (!subject) {
+          return res.json({ success: true, events: [], totalPages: 0, currentPage: pageNum, totalEvents: 0 });
+        }
+        query.user = subject._id;
+      }
+    }
+
+    if (actor && mongoose.Types.ObjectId.isValid(actor)) {
+      query.actor = actor;
+    }
+
+    if (type) {
+      query.type = { $in: String(type).split(',') };
+    }
+
+    if (outcome === 'success' || outcome === 'failure') {
+      query.outcome = outcome;
+    }
+
+    if (ip) {
+      query.ip = String(ip);
+    }
+
+    // Time range
+    if (from || to) {
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+      if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid date range'
+        });
+      }
+      query.createdAt = {};
+      if (fromDate) query.createdAt.$gte = fromDate;
+      if (toDate) query.createdAt.$lte = toDate;
+    }
+
+    const events = await SecurityEvent.find(query)
+      .populate('user', 'name email')
+      .populate('actor', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limitNum)
+      .skip((pageNum - 1) * limitNum);
+
+    const count = await SecurityEvent.countDocuments(query);
+
+    res.json({
+      success: true,
+      events,
+      totalPages: Math.ceil(count / limitNum),
+      currentPage: pageNum,
+      totalEvents: count
+    });
+  } catch (error) {
+    console.error('Get security events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch security events'
+    });
+  }
+});
+
 // @route   GET /api/admin/listings
 // @desc    Get all listings with filters
 // @access  Admin
-router.get('/listings', async (req, res) => {
+router.get('/listings', requirePermission('listings.moderate'), async (req, res) => {
   try {
     const {
       page = 1,
@@ -258,10 +595,8 @@ router.get('/listings', async (req, res) => {
       query.category = category;
     }
 
-    // Filter by status
-    if (status !== 'all') {
-      query.status = status;
-    }
+    // Filter by status (drafts only when asked for explicitly)
+    query.status = status === 'all' ? { $ne: 'draft' } : status;
 
     // Filter by moderation status
     if (moderation !== 'all') {
@@ -295,7 +630,7 @@ router.get('/listings', async (req, res) => {
 // @route   GET /api/admin/listings/deleted
 // @desc    Get soft-deleted listings
 // @access  Admin
-router.get('/listings/deleted', async (req, res) => {
+router.get('/listings/deleted', requirePermission('listings.moderate'), async (req, res) => {
   try {
     const { page = 1, limit = 20 } = req.query;
 
@@ -326,7 +661,7 @@ router.get('/listings/deleted', async (req, res) => {
 // @route   PUT /api/admin/listings/:id/moderate
 // @desc    Moderate listing (approve/reject)
 // @access  Admin
-router.put('/listings/:id/moderate', async (req, res) => {
+router.put('/listings/:id/moderate', requirePermission('listings.moderate'), async (req, res) => {
   try {
     const { action, note } = req.body; // action: 'approve' or 'reject'
 
@@ -346,6 +681,17 @@ router.put('/listings/:id/moderate', async (req, res) => {
       });
     }
 
+    if (listing.status === 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Drafts cannot be moderated until they are submitted'
+      });
+    }
+
+    // Re-approving a live listing (e.g. after reports) neither restarts its expiry
+    // clock nor alerts saved searches again
+    const wasLive = listing.status === 'active' && listing.moderationStatus === 'approved';
+
     listing.moderationStatus = action === 'approve' ? 'approved' : 'rejected';
     listing.moderationNote = note || '';
 
@@ -354,34 +700,37 @@ router.put('/listings/:id/moderate', async (req, res) => {
       listing.status = 'removed';
     }
 
+    // Approved with a future publish date: wait for the publish job
+    const scheduled = action === 'approve' && !wasLive && listing.publishAt && listing.publishAt > new Date();
+    if (scheduled) {
+      listing.status = 'scheduled';
+    } else if (action === 'approve' && listing.status === 'active' && !wasLive) {
+      publishListing(listing);
+    }
+
     await listing.save();
 
-    // Send in-app notification to the seller
-    try {
-      const seller = await User.findById(listing.seller);
-      if (seller) {
-        seller.notifications.push({
-          type: 'listing',
-          title: action === 'approve' ? 'Listing Approved!' : 'Listing Rejected',
-          content: action === 'approve'
-            ? `Your listing "${listing.title}" has been approved and is now live!`
-            : `Your listing "${listing.title}" was rejected. Reason: ${note || 'Policy violation'}`,
-          read: false,
-          relatedId: listing._id,
-          createdAt: new Date()
-        });
-        await seller.save();
-
-        // Send email notification
-        const { sendListingApproved, sendListingRejected } = require('../utils/emailService');
-        if (action === 'approve') {
-          await sendListingApproved(seller.email, seller.name, listing.title);
-        } else {
-          await sendListingRejected(seller.email, seller.name, listing.title, note);
-        }
-      }
-    } catch (notifError) {
-      console.error('Failed to send listing moderation notification:', notifError);
+    // Notify the seller (in-app, push and email, per their preferences)
+    await notifyUser(req.app.get('io'), listing.seller, {
+      category: 'listing_moderation',
+      type: 'listing',
+      title: action === 'approve' ? 'Listing Approved!' : 'Listing Rejected',
+      content: action === 'approve'
+        ? (scheduled
+          ? `Your listing "${listing.title}" has been approved and will go live on ${listing.publishAt.toUTCString()}`
+          : `Your listing "${listing.title}" has been approved and is now live!`)
+        : `Your listing "${listing.title}" was rejected. Reason: ${note || 'Policy violation'}`,
+      relatedId: listing._id,
+      email: seller => (action === 'approve'
+        ? sendListingApproved(seller, listing.title)
+        : sendListingRejected(seller, listing.title, note))
+    });
+
+    // Alert buyers whose saved searches match the newly live listing. Awaited: a
+    // serverless function may be frozen as soon as the response is sent.
+    if (action === 'approve' && listing.status === 'active' && !wasLive) {
+      await matchSavedSearches(req.app.get('io'), listing)
+        .catch(error => console.error('Saved search match error:', error));
     }
 
     res.json({
@@ -401,7 +750,7 @@ router.put('/listings/:id/moderate', async (req, res) => {
 // @route   GET /api/admin/reports
 // @desc    Get reported listings
 // @access  Admin
-router.get('/reports', async (req, res) => {
+router.get('/reports', requirePermission('listings.moderate'), async (req, res) => {
   try {
     const { page = 1, limit = 20 } = req.query;
 
@@ -436,7 +785,7 @@ router.get('/reports', async (req, res) => {
 // @route   DELETE /api/admin/listings/:id
 // @desc    Delete listing (admin only)
 // @access  Admin
-router.delete('/listings/:id', async (req, res) => {
+router.delete('/listings/:id', requirePermission('listings.moderate'), async (req, res) => {
   try {
     const listing = await Listing.findById(req.params.id);
 
@@ -465,7 +814,7 @@ router.delete('/listings/:id', async (req, res) => {
 // @route   GET /api/admin/verifications
 // @desc    Get users with verification submissions
 // @access  Admin
-router.get('/verifications', async (req, res) => {
+router.get('/verifications', requirePermission('verifications.review'), async (req, res) => {
   try {
     const { page = 1, limit = 20, status = 'all' } = req.query;
 
@@ -503,7 +852,7 @@ router.get('/verifications', async (req, res) => {
 // @route   PUT /api/admin/verifications/:userId/review
 // @desc    Approve or reject a user's verification
 // @access  Admin
-router.put('/verifications/:userId/review', async (req, res) => {
+router.put('/verifications/:userId/review', requirePermission('verifications.review'), async (req, res) => {
   try {
     const { action, reason } = req.body;
 
@@ -532,32 +881,20 @@ router.put('/verifications/:userId/review', async (req, res) => {
       user.verification.rejectionReason = reason;
     }
 
-    // Add in-app notification
-    const notification = {
+    await user.save();
+
+    // Notify the user (in-app, push and email, per their preferences)
+    await notifyUser(req.app.get('io'), user, {
+      category: 'verification',
       type: 'system',
       title: action === 'approve' ? 'Identity Verified!' : 'Verification Rejected',
       content: action === 'approve'
         ? 'Your identity has been verified. You can now post listings!'
         : `Your verification was rejected: ${reason}. You can resubmit with new documents.`,
-      read: false,
-      createdAt: new Date()
-    };
-    user.notifications.push(notification);
-
-    await user.save();
-
-    // Send email notification
-    try {
-      const { sendVerificationApproved, sendVerificationRejected } = require('../utils/emailService');
-      if (action === 'approve') {
-        await sendVerificationApproved(user.email, user.name);
-      } else {
-        await sendVerificationRejected(user.email, user.name, reason);
-      }
-    } catch (emailError) {
-      console.error('Failed to send verification email:', emailError);
-      // Don't fail the request if email fails
-    }
+      email: recipient => (action === 'approve'
+        ? sendVerificationApproved(recipient)
+        : sendVerificationRejected(recipient, reason))
+    });
 
     res.json({
       success: true,
@@ -570,4 +907,128 @@ router.put('/verifications/:userId/review', async (req, res) => {
   }
 });
 
+// Attribute fields staff can edit (key, category and type are fixed once created,
+// so values already stored on listings keep their meaning)
+const EDITABLE_ATTRIBUTE_FIELDS = ['label', 'options', 'unit', 'min', 'max', 'required', 'filterable', 'order'];
+
+// Mongoose validation errors as a 400 response
+const sendAttributeValidationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors: Object.values(error.errors).map(err => ({
+    field: err.path,
+    message: err.message
+  }))
+});
+
+// @route   GET /api/admin/category-attributes
+// @desc    Get attribute definitions (optionally for one category)
+// @access  Superadmin (categories.manage)
+router.get('/category-attributes', requirePermission('categories.manage'), async (req, res) => {
+  try {
+    const query = req.query.category ? { category: String(req.query.category) } : {};
+
+    const attributes = await CategoryAttribute.find(query).sort({ category: 1, order: 1, key: 1 });
+
+    res.json({
+      success: true,
+      attributes
+    });
+  } catch (error) {
+    console.error('Get category attributes error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch category attributes' });
+  }
+});
+
+// @route   POST /api/admin/category-attributes
+// @desc    Add an attribute to a category
+// @access  Superadmin (categories.manage)
+router.post('/category-attributes', requirePermission('categories.manage'), async (req, res) => {
+  try {
+    const { category, key, type } = req.body;
+
+    const data = { category, key, type };
+    EDITABLE_ATTRIBUTE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const existing = await CategoryAttribute.findOne({ category: String(category), key: String(key) });
+    if (existing) {
+      return res.status(400).json({ success: false, message: `${category} already has an attribute "${key}"` });
+    }
+
+    const attribute = await CategoryAttribute.create(data);
+    clearAttributeCache();
+
+    res.status(201).json({
+      success: true,
+      attribute
+    });
+  } catch (error) {
+    console.error('Create category attribute error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendAttributeValidationError(res, error);
+    }
+
+    res.status(500).json({ success: false, message: 'Failed to create category attribute' });
+  }
+});
+
+// @route   PUT /api/admin/category-attributes/:id
+// @desc    Update an attribute definition
+// @access  Superadmin (categories.manage)
+router.put('/category-attributes/:id', requirePermission('categories.manage'), async (req, res) => {
+  try {
+    const attribute = await CategoryAttribute.findById(req.params.id);
+
+    if (!attribute) {
+      return res.status(404).json({ success: false, message: 'Attribute not found' });
+    }
+
+    EDITABLE_ATTRIBUTE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) attribute[field] = req.body[field];
+    });
+
+    await attribute.save();
+    clearAttributeCache();
+
+    res.json({
+      success: true,
+      attribute
+    });
+  } catch (error) {
+    console.error('Update category attribute error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendAttributeValidationError(res, error);
+    }
+
+    res.status(500).json({ success: false, message: 'Failed to update category attribute' });
+  }
+});
+
+// @route   DELETE /api/admin/category-attributes/:id
+// @desc    Remove an attribute (listings drop its value the next time they are edited)
+// @access  Superadmin (categories.manage)
+router.delete('/category-attributes/:id', requirePermission('categories.manage'), async (req, res) => {
+  try {
+    const attribute = await CategoryAttribute.findByIdAndDelete(req.params.id);
+
+    if (!attribute) {
+      return res.status(404).json({ success: false, message: 'Attribute not found' });
+    }
+
+    clearAttributeCache();
+
+    res.json({
+      success: true,
+      message: `Attribute "${attribute.key}" removed from ${attribute.category}`
+    });
+  } catch (error) {
+    console.error('Delete category attribute error:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete category attribute' });
+  }
+});
+
 module.exports = router;
@@ -1,8 +1,26 @@
 const express = require('express');
 const router = express.Router();
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const SecurityEvent = require('../models/SecurityEvent');
 const { protect } = require('../middleware/auth');
+const { sendEmailVerification, sendPasswordReset, sendAccountLocked } = require('../utils/emailService');
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('../utils/loginThrottle');
+const { verifyIdToken, verifyFacebookAccessToken, isProviderConfigured } = require('../utils/oauthVerifier');
+const totp = require('../utils/totp');
+const {
+  NOTIFICATION_CHANNELS,
+  getPreferences,
+  validatePreferenceUpdate,
+  verifyUnsubscribeToken
+} = require('../utils/notificationPreferences');
+const { logSecurityEvent } = require('../utils/securityLog');
+
+// Minimum delay between verification emails for the same account
+const EMAIL_VERIFICATION_COOLDOWN_MS = 60 * 1000;
 
 // Validation rules
 const registerValidation = [
@@ -16,6 +34,113 @@ const loginValidation = [
   body('password').notEmpty().withMessage('Password is required')
 ];
 
+// Reject a login attempt that is in backoff or lockout
+const sendThrottled = (res, throttle) => {
+  res.set('Retry-After', String(throttle.retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: throttle.locked
+      ? 'Too many failed login attempts. Please try again later.'
+      : 'Please wait a moment before trying again',
+    retryAfter: throttle.retryAfter
+  });
+};
+
+// Answer a failed attempt: throttled while the client's IP is blocked
+// (only correct credentials get through an IP block), else 401
+const rejectLogin = (res, throttle, message) => {
+  if (throttle.ipThrottle) return sendThrottled(res, throttle.ipThrottle);
+  return res.status(401).json({
+    success: false,
+    message
+  });
+};
+
+// Count a failed attempt; tell the owner when it locks their account
+const handleFailedLogin = async (req, email, user, reason) => {
+  const result = await recordLoginFailure(email, req.ip);
+
+  await logSecurityEvent(req, {
+    type: 'login_failed',
+    outcome: 'failure',
+    user: user?._id,
+    metadata: { email, reason }
+  });
+
+  if (result.accountLocked) {
+    console.warn(`[AUTH] Account ${email} locked until ${result.lockedUntil.toISOString()}`);
+    await logSecurityEvent(req, {
+      type: 'login_locked',
+      outcome: 'failure',
+      user: user?._id,
+      metadata: { email, lockedUntil: result.lockedUntil }
+    });
+    if (user) {
+      await sendAccountLocked(user.email, user.name, result.lockedUntil);
+    }
+  }
+};
+
+// User payload returned after login
+const formatAuthUser = (user) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  emailVerified: user.hasConfirmedEmail(),
+  phone: user.phone,
+  phoneVerified: Boolean(user.phoneVerified),
+  avatar: user.avatar,
+  location: user.location,
+  rating: user.rating,
+  salesCount: user.salesCount,
+  isAdmin: user.isAdmin,
+  role: user.role,
+  permissions: user.getPermissions(),
+  twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+  verification: user.verification ? {
+    status: user.verification.status,
+    rejectionReason: user.verification.rejectionReason
+  } : { status: 'unverified' },
+  deletionScheduledFor: user.deletion?.scheduledFor || null,
+  createdAt: user.createdAt
+});
+
+// Start a session - or, when 2FA is enabled and not yet passed, ask for the code
+const completeLogin = async (req, res, user, { twoFactorVerified = false, method = 'password' } = {}) => {
+  if (user.twoFactor?.enabled && !twoFactorVerified) {
+    const twoFactorToken = jwt.sign(
+      { id: user._id, purpose: 'two_factor_login' },
+      process.env.JWT_SECRET || 'market-cairo-jwt-secret',
+      { expiresIn: '5m' }
+    );
+
+    return res.json({
+      success: true,
+      requiresTwoFactor: true,
+      twoFactorToken
+    });
+  }
+
+  // Update last seen
+  user.lastSeen = new Date();
+  await user.save();
+
+  const { session, token, refreshToken } = await Session.start(user, req, { twoFactorVerified });
+
+  await logSecurityEvent(req, {
+    type: 'login',
+    user: user._id,
+    metadata: { method, twoFactor: twoFactorVerified, session: session._id }
+  });
+
+  res.json({
+    success: true,
+    token,
+    refreshToken,
+    user: formatAuthUser(user)
+  });
+};
+
 // @route   POST /api/auth/register
 // @desc    Register new user
 // @access  Public
@@ -45,20 +170,28 @@ router.post('/register', registerValidation, async (req, res) => {
       name,
       email,
       password,
-      phone
+      phone,
+      emailVerified: false,
+      emailVerificationSentAt: new Date()
     });
 
-    // Generate token
-    const token = user.generateToken();
+    // Send email confirmation link
+    await sendEmailVerification(user.email, user.name, user.generateEmailVerificationToken());
+
+    // Start session
+    const { token, refreshToken } = await Session.start(user, req);
 
     res.status(201).json({
       success: true,
       token,
+      refreshToken,
       user: {
         _id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: user.hasConfirmedEmail(),
         phone: user.phone,
+        phoneVerified: false,
         avatar: user.avatar,
         location: user.location,
         rating: user.rating,
@@ -91,67 +224,50 @@ router.post('/login', loginValidation, async (req, res) => {
 
     const { email, password } = req.body;
 
+    const throttle = await checkLoginAllowed(email, req.ip);
+    if (!throttle.allowed) {
+      return sendThrottled(res, throttle);
+    }
+
     // Find user with password
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
+      await handleFailedLogin(req, email, null, 'unknown_email');
+      return rejectLogin(res, throttle, 'Invalid credentials');
     }
 
     // Check if user has password (not OAuth only)
     if (!user.password) {
       return res.status(401).json({
         success: false,
-        message: 'Please login with Google or Facebook'
+        message: 'Please login with Google or Facebook. You can add a password in your account settings afterwards.'
       });
     }
 
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
+      await handleFailedLogin(req, email, user, 'invalid_password');
+      return rejectLogin(res, throttle, 'Invalid credentials');
     }
 
     // Check if active
     if (!user.isActive) {
+      await logSecurityEvent(req, {
+        type: 'login_failed',
+        outcome: 'failure',
+        user: user._id,
+        metadata: { email, reason: 'deactivated' }
+      });
       return res.status(401).json({
         success: false,
         message: 'Account has been deactivated'
       });
     }
 
-    // Update last seen
-    user.lastSeen = new Date();
-    await user.save();
-
-    // Generate token
-    const token = user.generateToken();
+    await recordLoginSuccess(email);
 
-    res.json({
-      success: true,
-      token,
-      user: {
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        avatar: user.avatar,
-        location: user.location,
-        rating: user.rating,
-        salesCount: user.salesCount,
-        isAdmin: user.isAdmin,
-        verification: user.verification ? {
-          status: user.verification.status,
-          rejectionReason: user.verification.rejectionReason
-        } : { status: 'unverified' },
-        createdAt: user.createdAt
-      }
-    });
+    await completeLogin(req, res, user);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -161,50 +277,69 @@ router.post('/login', loginValidation, async (req, res) => {
   }
 });
 
-// @route   POST /api/auth/google
-// @desc    Google OAuth login
-// @access  Public
-router.post('/google', async (req, res) => {
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step - authentication or recovery code
+// @access  Public (requires twoFactorToken from login)
+router.post('/login/2fa', [
+  body('twoFactorToken').notEmpty().withMessage('Two-factor token is required'),
+  body().custom(value => Boolean(value.code || value.recoveryCode)).withMessage('Authentication code is required')
+], async (req, res) => {
   try {
-    const { googleId, email, name, avatar } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
 
-    let user = await User.findOne({ $or: [{ googleId }, { email }] });
+    let decoded;
+    try {
+      decoded = jwt.verify(req.body.twoFactorToken, process.env.JWT_SECRET || 'market-cairo-jwt-secret');
+    } catch (err) {
+      decoded = null;
+    }
 
-    if (user) {
-      // Update Google ID if needed
-      if (!user.googleId) {
-        user.googleId = googleId;
-        await user.save();
-      }
-    } else {
-      // Create new user
-      user = await User.create({
-        googleId,
-        email,
-        name,
-        avatar
+    if (!decoded || decoded.purpose !== 'two_factor_login') {
+      return res.status(401).json({
+        success: false,
+        message: 'Login attempt has expired. Please login again.'
       });
     }
 
-    const token = user.generateToken();
+    const user = await User.findById(decoded.id)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
 
-    res.json({
-      success: true,
-      token,
-      user: {
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        avatar: user.avatar,
-        location: user.location,
-        rating: user.rating,
-        salesCount: user.salesCount,
-        createdAt: user.createdAt
-      }
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    const throttle = await checkLoginAllowed(user.email, req.ip);
+    if (!throttle.allowed) {
+      return sendThrottled(res, throttle);
+    }
+
+    const { code, recoveryCode } = req.body;
+    if (!user.checkTwoFactorCode({ code, recoveryCode })) {
+      await handleFailedLogin(req, user.email, user, recoveryCode ? 'invalid_recovery_code' : 'invalid_2fa_code');
+      return rejectLogin(res, throttle, 'Invalid authentication code');
+    }
+
+    await recordLoginSuccess(user.email);
+
+    if (recoveryCode) {
+      console.log(`[AUTH] Recovery code used by user ${user._id} (${user.twoFactor.recoveryCodes.length} left)`);
+    }
+
+    await completeLogin(req, res, user, {
+      twoFactorVerified: true,
+      method: recoveryCode ? 'recovery_code' : 'totp'
     });
   } catch (error) {
-    console.error('Google auth error:', error);
+    console.error('Two-factor login error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -212,86 +347,176 @@ router.post('/google', async (req, res) => {
   }
 });
 
-// @route   POST /api/auth/facebook
-// @desc    Facebook OAuth login
-// @access  Public
-router.post('/facebook', async (req, res) => {
+const PROVIDER_NAMES = { google: 'Google', facebook: 'Facebook' };
+const PROVIDER_ID_FIELDS = { google: 'googleId', facebook: 'facebookId' };
+
+// Find the account for a verified provider identity, linking or creating as needed.
+// Returns { user, linked, created } or { error, status }
+const resolveOAuthUser = async (provider, profile) => {
+  const idField = PROVIDER_ID_FIELDS[provider];
+
+  let user = await User.findOne({ [idField]: profile.providerId });
+  if (user) return { user };
+
+  if (!profile.email) {
+    return { status: 400, error: 'Email permission is required to create an account' };
+  }
+
+  user = await User.findOne({ email: profile.email });
+
+  if (user) {
+    // Never attach a provider to an existing account on an unconfirmed address
+    if (!profile.emailVerified) {
+      return {
+        status: 409,
+        error: 'An account with this email already exists. Please login with your password.'
+      };
+    }
+
+    if (user[idField]) {
+      return { status: 409, error: `This account is already linked to another ${provider} profile` };
+    }
+
+    // The provider proved ownership of the address. If it was never confirmed here,
+    // whoever registered it may not own it: drop their password and sessions.
+    if (!user.emailVerified) {
+      user.password = undefined;
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await Session.revokeAllForUser(user._id, 'revoked');
+    }
+
+    user[idField] = profile.providerId;
+    await user.save();
+    return { user, linked: true };
+  }
+
+  user = await User.create({
+    [idField]: profile.providerId,
+    email: profile.email,
+    name: (profile.name || profile.email.split('@')[0]).slice(0, 50),
+    avatar: profile.avatar,
+    emailVerified: profile.emailVerified,
+    emailVerifiedAt: profile.emailVerified ? new Date() : undefined
+  });
+
+  return { user, created: true };
+};
+
+// Verify the provider token in the request body.
+// Sends the error response and returns null when it can't be verified.
+const verifyProviderCredential = async (req, res, provider) => {
+  if (!isProviderConfigured(provider)) {
+    res.status(503).json({
+      success: false,
+      message: `${PROVIDER_NAMES[provider]} login is not configured`
+    });
+    return null;
+  }
+
+  const idToken = req.body.idToken || req.body.credential;
+  const { accessToken } = req.body;
+
+  if (!idToken && !(provider === 'facebook' && accessToken)) {
+    res.status(400).json({
+      success: false,
+      message: 'Identity token is required'
+    });
+    return null;
+  }
+
+  try {
+    return idToken
+      ? await verifyIdToken(provider, idToken)
+      : await verifyFacebookAccessToken(accessToken);
+  } catch (verifyError) {
+    console.warn(`[AUTH] Rejected ${provider} token:`, verifyError.message);
+    res.status(401).json({
+      success: false,
+      message: 'Invalid identity token'
+    });
+    return null;
+  }
+};
+
+// Shared handler for provider logins
+const oauthLogin = (provider) => async (req, res) => {
   try {
-    const { facebookId, email, name, avatar } = req.body;
+    const profile = await verifyProviderCredential(req, res, provider);
+    if (!profile) return;
 
-    let user = await User.findOne({ $or: [{ facebookId }, { email }] });
+    const { user, linked, created, error, status } = await resolveOAuthUser(provider, profile);
 
-    if (user) {
-      if (!user.facebookId) {
-        user.facebookId = facebookId;
-        await user.save();
-      }
-    } else {
-      user = await User.create({
-        facebookId,
-        email,
-        name,
-        avatar
+    if (error) {
+      await logSecurityEvent(req, {
+        type: 'login_failed',
+        outcome: 'failure',
+        metadata: { email: profile.email, method: provider, reason: error }
+      });
+      return res.status(status).json({
+        success: false,
+        message: error
       });
     }
 
-    const token = user.generateToken();
+    if (linked) {
+      await logSecurityEvent(req, {
+        type: 'provider_linked',
+        user: user._id,
+        metadata: { provider, automatic: true }
+      });
+    }
 
-    res.json({
-      success: true,
-      token,
-      user: {
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        avatar: user.avatar,
-        location: user.location,
-        rating: user.rating,
-        salesCount: user.salesCount,
-        createdAt: user.createdAt
-      }
-    });
+    if (!user.isActive) {
+      await logSecurityEvent(req, {
+        type: 'login_failed',
+        outcome: 'failure',
+        user: user._id,
+        metadata: { email: user.email, method: provider, reason: 'deactivated' }
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Account has been deactivated'
+      });
+    }
+
+    await completeLogin(req, res, user, { method: created ? `${provider}_signup` : provider });
   } catch (error) {
-    console.error('Facebook auth error:', error);
+    console.error(`${provider} auth error:`, error);
     res.status(500).json({
       success: false,
       message: 'Server error'
     });
   }
-});
+};
 
-// @route   GET /api/auth/me
-// @desc    Get current user
+// @route   POST /api/auth/google
+// @desc    Google login with a Google ID token
+// @access  Public
+router.post('/google', oauthLogin('google'));
+
+// @route   POST /api/auth/facebook
+// @desc    Facebook login with a Limited Login ID token or access token
+// @access  Public
+router.post('/facebook', oauthLogin('facebook'));
+
+// @route   GET /api/auth/providers
+// @desc    List login methods linked to the account
 // @access  Private
-router.get('/me', protect, async (req, res) => {
+router.get('/providers', protect, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id)
-      .populate('favorites', 'title price images status');
+    const user = await User.findById(req.user._id).select('+password');
 
     res.json({
       success: true,
-      user: {
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        avatar: user.avatar,
-        location: user.location,
-        rating: user.rating,
-        salesCount: user.salesCount,
-        favorites: user.favorites,
-        notifications: user.notifications.slice(0, 20),
-        isAdmin: user.isAdmin,
-        verification: user.verification ? {
-          status: user.verification.status,
-          rejectionReason: user.verification.rejectionReason
-        } : { status: 'unverified' },
-        createdAt: user.createdAt
+      providers: {
+        password: Boolean(user.password),
+        google: Boolean(user.googleId),
+        facebook: Boolean(user.facebookId)
       }
     });
   } catch (error) {
-    console.error('Get me error:', error);
+    console.error('Get providers error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -299,41 +524,50 @@ router.get('/me', protect, async (req, res) => {
   }
 });
 
-// @route   PUT /api/auth/update
-// @desc    Update user profile
+// @route   POST /api/auth/providers/:provider
+// @desc    Link a Google or Facebook login to the account
 // @access  Private
-router.put('/update', protect, async (req, res) => {
+router.post('/providers/:provider', protect, async (req, res) => {
   try {
-    const { name, phone, location, avatar } = req.body;
-    
-    const updateData = {};
-    if (name) updateData.name = name;
-    if (phone) updateData.phone = phone;
-    if (location) updateData.location = location;
-    if (avatar) updateData.avatar = avatar;
+    const { provider } = req.params;
+    const idField = PROVIDER_ID_FIELDS[provider];
 
-    const user = await User.findByIdAndUpdate(
-      req.user._id,
-      updateData,
-      { new: true, runValidators: true }
-    );
+    if (!idField) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unsupported provider'
+      });
+    }
+
+    if (req.user[idField]) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${PROVIDER_NAMES[provider]} login is already linked`
+      });
+    }
+
+    const profile = await verifyProviderCredential(req, res, provider);
+    if (!profile) return;
+
+    const owner = await User.findOne({ [idField]: profile.providerId });
+    if (owner) {
+      return res.status(409).json({
+        success: false,
+        message: `This ${PROVIDER_NAMES[provider]} account is already linked to another user`
+      });
+    }
+
+    req.user[idField] = profile.providerId;
+    await req.user.save();
+
+    await logSecurityEvent(req, { type: 'provider_linked', metadata: { provider } });
 
     res.json({
       success: true,
-      user: {
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        avatar: user.avatar,
-        location: user.location,
-        rating: user.rating,
-        salesCount: user.salesCount,
-        createdAt: user.createdAt
-      }
+      message: `${PROVIDER_NAMES[provider]} login linked`
     });
   } catch (error) {
-    console.error('Update error:', error);
+    console.error('Link provider error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -341,50 +575,54 @@ router.put('/update', protect, async (req, res) => {
   }
 });
 
-// @route   PUT /api/auth/password
-// @desc    Change password
+// @route   DELETE /api/auth/providers/:provider
+// @desc    Unlink a Google or Facebook login
 // @access  Private
-router.put('/password', protect, [
-  body('currentPassword').notEmpty().withMessage('Current password is required'),
-  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
-], async (req, res) => {
+router.delete('/providers/:provider', protect, async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
+    const { provider } = req.params;
+    const idField = PROVIDER_ID_FIELDS[provider];
+
+    if (!idField) {
       return res.status(400).json({
         success: false,
-        errors: errors.array()
+        message: 'Unsupported provider'
       });
     }
 
-    const { currentPassword, newPassword } = req.body;
-    
     const user = await User.findById(req.user._id).select('+password');
 
-    if (!user.password) {
+    if (!user[idField]) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot change password for OAuth accounts'
+        message: `No ${PROVIDER_NAMES[provider]} login is linked`
       });
     }
 
-    const isMatch = await user.comparePassword(currentPassword);
-    if (!isMatch) {
+    // Keep at least one way to log in
+    const remaining = [Boolean(user.password), ...Object.values(PROVIDER_ID_FIELDS)
+      .filter(field => field !== idField)
+      .map(field => Boolean(user[field]))]
+      .filter(Boolean).length;
+
+    if (remaining === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Current password is incorrect'
+        message: 'You cannot remove your only login method. Set a password first.'
       });
     }
 
-    user.password = newPassword;
+    user[idField] = undefined;
     await user.save();
 
+    await logSecurityEvent(req, { type: 'provider_unlinked', metadata: { provider } });
+
     res.json({
       success: true,
-      message: 'Password updated successfully'
+      message: `${PROVIDER_NAMES[provider]} login unlinked`
     });
   } catch (error) {
-    console.error('Password change error:', error);
+    console.error('Unlink provider error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -392,6 +630,938 @@ router.put('/password', protect, [
   }
 });
 
+// @route   POST /api/auth/verify-email
+// @desc    Confirm email address with the emailed token
+// @access  Public
+router.post('/verify-email', [
+  body('token').notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(req.body.token, process.env.JWT_SECRET || 'market-cairo-jwt-secret');
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.name === 'TokenExpiredError'
+          ? 'Verification link has expired. Please request a new one.'
+          : 'Invalid verification link'
+      });
+    }
+
+    if (decoded.purpose !== 'email_verification') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification link'
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+
+    // Token is bound to the address it was sent to
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification link'
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+
+      await logSecurityEvent(req, {
+        type: 'email_verified',
+        user: user._id,
+        metadata: { email: user.email }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email address confirmed',
+      emailVerified: true
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email/resend
+// @desc    Resend email confirmation link
+// @access  Private
+router.post('/verify-email/resend', protect, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.hasConfirmedEmail()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already confirmed'
+      });
+    }
+
+    const lastSent = user.emailVerificationSentAt ? user.emailVerificationSentAt.getTime() : 0;
+    if (Date.now() - lastSent < EMAIL_VERIFICATION_COOLDOWN_MS) {
+      return res.status(429).json({
+        success: false,
+        message: 'Please wait a minute before requesting another email'
+      });
+    }
+
+    user.emailVerificationSentAt = new Date();
+    await user.save();
+
+    await sendEmailVerification(user.email, user.name, user.generateEmailVerificationToken());
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange refresh token for new access + refresh tokens
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const result = await Session.rotate(req.body.refreshToken);
+
+    if (result.status === 'reused') {
+      console.warn(`[AUTH] Refresh token reuse detected for session ${result.session._id} - session revoked`);
+      await logSecurityEvent(req, {
+        type: 'refresh_token_reuse',
+        outcome: 'failure',
+        user: result.session.user,
+        metadata: { session: result.session._id }
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked. Please login again.',
+        sessionExpired: true
+      });
+    }
+
+    if (result.status !== 'ok') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token',
+        sessionExpired: true
+      });
+    }
+
+    const user = await User.findById(result.session.user);
+    if (!user || !user.isActive) {
+      await result.session.revoke('deactivated');
+      return res.status(401).json({
+        success: false,
+        message: 'Account has been deactivated'
+      });
+    }
+
+    res.json({
+      success: true,
+      token: user.generateToken(result.session._id),
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+  try {
+    await req.session.revoke('logout');
+
+    await logSecurityEvent(req, { type: 'logout', metadata: { session: req.session._id } });
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions (devices) of current user
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        _id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.session._id.toString()
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all sessions except the current one
+// @access  Private
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'revoked', req.session._id);
+
+    await logSecurityEvent(req, {
+      type: 'session_revoked',
+      metadata: { scope: 'others', count: result.modifiedCount }
+    });
+
+    res.json({
+      success: true,
+      message: 'Signed out of all other devices',
+      revoked: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke a single session
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('revoked');
+
+    await logSecurityEvent(req, { type: 'session_revoked', metadata: { session: session._id } });
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/activity
+// @desc    Recent security events on the current user's account
+// @access  Private
+router.get('/activity', protect, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const query = { user: req.user._id };
+
+    const [events, total] = await Promise.all([
+      SecurityEvent.find(query)
+        .select('type outcome ip userAgent metadata createdAt actor')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      SecurityEvent.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      events: events.map(({ actor, ...event }) => ({
+        ...event,
+        // Flag changes made by staff rather than the user
+        byStaff: Boolean(actor) && actor.toString() !== req.user._id.toString()
+      })),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Get activity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment - returns secret and otpauth:// URI for the QR code
+// @access  Private
+router.post('/2fa/setup', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUrl: totp.buildOtpauthUri(secret, user.email)
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code from the authenticator app
+// @access  Private
+router.post('/2fa/enable', protect, [
+  body('code').notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please start two-factor setup first'
+      });
+    }
+
+    const step = totp.verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = totp.generateRecoveryCodes();
+
+    user.twoFactor = {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: undefined,
+      recoveryCodes: recoveryCodes.map(totp.hashRecoveryCode),
+      lastUsedStep: step,
+      enabledAt: new Date()
+    };
+    await user.save();
+
+    // This device just proved possession of the authenticator
+    req.session.twoFactorVerified = true;
+    await req.session.save();
+
+    await logSecurityEvent(req, { type: 'two_factor_enabled' });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes // Shown once - only hashes are stored
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA (requires a current or recovery code)
+// @access  Private
+router.post('/2fa/disable', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const { code, recoveryCode } = req.body;
+    if (!user.checkTwoFactorCode({ code, recoveryCode })) {
+      await logSecurityEvent(req, {
+        type: 'two_factor_disabled',
+        outcome: 'failure',
+        metadata: { reason: 'invalid_code' }
+      });
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    await logSecurityEvent(req, {
+      type: 'two_factor_disabled',
+      metadata: { method: recoveryCode ? 'recovery_code' : 'totp' }
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace recovery codes (requires a current code)
+// @access  Private
+router.post('/2fa/recovery-codes', protect, [
+  body('code').notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user.checkTwoFactorCode({ code: req.body.code })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = totp.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(totp.hashRecoveryCode);
+    await user.save();
+
+    await logSecurityEvent(req, { type: 'recovery_codes_regenerated' });
+
+    res.json({
+      success: true,
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/me
+// @desc    Get current user
+// @access  Private
+router.get('/me', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('favorites', 'title price images status');
+
+    res.json({
+      success: true,
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        emailVerified: user.hasConfirmedEmail(),
+        phone: user.phone,
+        phoneVerified: Boolean(user.phoneVerified),
+        avatar: user.avatar,
+        location: user.location,
+        rating: user.rating,
+        salesCount: user.salesCount,
+        favorites: user.favorites,
+        notifications: user.notifications.slice(0, 20),
+        isAdmin: user.isAdmin,
+        role: user.role,
+        permissions: user.getPermissions(),
+        twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+        verification: user.verification ? {
+          status: user.verification.status,
+          rejectionReason: user.verification.rejectionReason
+        } : { status: 'unverified' },
+        createdAt: user.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Get me error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/auth/update
+// @desc    Update user profile
+// @access  Private
+router.put('/update', protect, async (req, res) => {
+  try {
+    const { name, phone, location, avatar } = req.body;
+    
+    const updateData = {};
+    if (name) updateData.name = name;
+    if (phone && phone !== req.user.phone) {
+      // A new number has to be confirmed again
+      updateData.phone = phone;
+      updateData.phoneVerified = false;
+      updateData.phoneVerifiedAt = null;
+    }
+    if (location) updateData.location = location;
+    if (avatar) updateData.avatar = avatar;
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        phone: user.phone,
+        avatar: user.avatar,
+        location: user.location,
+        rating: user.rating,
+        salesCount: user.salesCount,
+        createdAt: user.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/auth/password
+// @desc    Change password
+// @access  Private
+router.put('/password', protect, [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!user.password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change password for OAuth accounts'
+      });
+    }
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      await logSecurityEvent(req, {
+        type: 'password_changed',
+        outcome: 'failure',
+        metadata: { reason: 'invalid_current_password' }
+      });
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Sign out every other device; hand back a fresh access token for this one
+    const revoked = await Session.revokeAllForUser(user._id, 'password_change', req.session._id);
+    await logSecurityEvent(req, {
+      type: 'password_changed',
+      metadata: { sessionsRevoked: revoked.modifiedCount }
+    });
+    const token = user.generateToken(req.session._id);
+
+    res.json({
+      success: true,
+      message: 'Password updated successfully',
+      token
+    });
+  } catch (error) {
+    console.error('Password change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/password/set
+// @desc    Add a password to an account that only uses Google/Facebook
+// @access  Private
+router.post('/password/set', protect, [
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (user.password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account already has a password. Use change password instead.'
+      });
+    }
+
+    user.password = req.body.password;
+    await user.save();
+
+    await logSecurityEvent(req, { type: 'password_set' });
+
+    // Earlier access tokens are invalidated by the password change - hand back a fresh one
+    const token = user.generateToken(req.session._id);
+
+    res.json({
+      success: true,
+      message: 'Password set successfully',
+      token
+    });
+  } catch (error) {
+    console.error('Set password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user && user.isActive) {
+      const resetToken = user.createPasswordResetToken();
+
+      // Neither the save nor the email is awaited, so the response time doesn't
+      // reveal whether the account exists
+      user.save()
+        .then(() => sendPasswordReset(user.email, user.name, resetToken))
+        .catch(error => console.error('Forgot password error:', error));
+      logSecurityEvent(req, { type: 'password_reset_requested', user: user._id });
+    }
+
+    // Same response whether or not the email is registered
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const hashedToken = crypto.createHash('sha256').update(String(req.body.token)).digest('hex');
+
+    const user = await User.findOne({
+      passwordResetToken: hashedToken,
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    // Single use: clear the token together with the password change
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+
+    // Following the emailed link proves ownership of the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+
+    await user.save();
+
+    const revoked = await Session.revokeAllForUser(user._id, 'password_reset');
+    await logSecurityEvent(req, {
+      type: 'password_reset',
+      user: user._id,
+      metadata: { sessionsRevoked: revoked.modifiedCount }
+    });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please login with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/notification-preferences
+// @desc    Get notification preferences per category and channel
+// @access  Private
+router.get('/notification-preferences', protect, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      preferences: getPreferences(req.user),
+      channels: NOTIFICATION_CHANNELS
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/auth/notification-preferences
+// @desc    Update notification preferences, e.g. { messages: { email: true } }
+// @access  Private
+router.put('/notification-preferences', protect, async (req, res) => {
+  try {
+    const update = req.body.preferences || req.body;
+
+    const validationError = validatePreferenceUpdate(update);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    for (const [category, channels] of Object.entries(update)) {
+      for (const [channel, enabled] of Object.entries(channels)) {
+        req.user.set(`notificationPreferences.${category}.${channel}`, enabled);
+      }
+    }
+    await req.user.save();
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      preferences: getPreferences(req.user)
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/unsubscribe
+// @desc    Describe an unsubscribe link (for the confirmation page) - changes nothing
+// @access  Public (signed token)
+router.get('/unsubscribe', async (req, res) => {
+  try {
+    const decoded = verifyUnsubscribeToken(req.query.token);
+    const user = decoded && await User.findById(decoded.id).select('email notificationPreferences');
+
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'Invalid unsubscribe link' });
+    }
+
+    res.json({
+      success: true,
+      category: decoded.category,
+      email: user.email.replace(/^(.).*(@.*)$/, '$1***$2'),
+      subscribed: getPreferences(user)[decoded.category].email
+    });
+  } catch (error) {
+    console.error('Get unsubscribe error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/unsubscribe
+// @desc    One-click unsubscribe from a category's emails (RFC 8058 List-Unsubscribe-Post)
+// @access  Public (signed token)
+router.post('/unsubscribe', async (req, res) => {
+  try {
+    const decoded = verifyUnsubscribeToken(req.query.token || req.body.token);
+    const user = decoded && await User.findById(decoded.id);
+
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'Invalid unsubscribe link' });
+    }
+
+    user.set(`notificationPreferences.${decoded.category}.email`, false);
+    await user.save();
+
+    console.log(`[NOTIFY] User ${user._id} unsubscribed from ${decoded.category} emails`);
+
+    res.json({
+      success: true,
+      message: 'You have been unsubscribed',
+      category: decoded.category
+    });
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // @route   GET /api/auth/notifications
 // @desc    Get user notifications
 // @access  Private
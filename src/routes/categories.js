@@ -1,43 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const Listing = require('../models/Listing');
-
-// Category definitions with icons
-const categories = [
-  { name: 'Furniture', icon: 'sofa', slug: 'furniture' },
-  { name: 'Electronics', icon: 'laptop', slug: 'electronics' },
-  { name: 'Books', icon: 'book', slug: 'books' },
-  { name: 'Kitchen', icon: 'utensils', slug: 'kitchen' },
-  { name: 'Clothing', icon: 'shirt', slug: 'clothing' },
-  { name: 'Sports', icon: 'dumbbell', slug: 'sports' },
-  { name: 'Toys', icon: 'gamepad', slug: 'toys' },
-  { name: 'Other', icon: 'box', slug: 'other' }
-];
-
-// Location areas in Cairo
-const locations = [
-  'Maadi',
-  'New Cairo',
-  'Zamalek',
-  'Downtown',
-  'Heliopolis',
-  'Nasr City',
-  'Sheikh Zayed',
-  '6th of October',
-  'Giza',
-  'Mohandessin',
-  'Dokki',
-  'Tagamoa',
-  'Rehab',
-  'Madinet Nasr',
-  'El Mokattam',
-  'Ain Shams',
-  'Shubra',
-  'Other'
-];
-
-// Conditions
-const conditions = ['New', 'Like New', 'Good', 'Fair'];
+const { getAllAttributeDefinitions } = require('../utils/categoryAttributes');
+const { CATEGORIES: categories, AREA_NAMES: locations, CONDITIONS: conditions } = require('../utils/catalog');
 
 // @route   GET /api/categories
 // @desc    Get all categories with listing counts
@@ -93,6 +58,37 @@ router.get('/conditions', (req, res) => {
   });
 });
 
+// @route   GET /api/categories/:slug/attributes
+// @desc    Get every attribute a listing in the category can have (for the listing form)
+// @access  Public
+router.get('/:slug/attributes', async (req, res) => {
+  try {
+    const category = categories.find(cat => cat.slug === req.params.slug);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const attributeDefinitions = await getAllAttributeDefinitions();
+
+    res.json({
+      success: true,
+      category: category.name,
+      attributes: (attributeDefinitions[category.name] || [])
+        .map(({ key, label, type, options, unit, min, max, required }) => ({ key, label, type, options, unit, min, max, required }))
+    });
+  } catch (error) {
+    console.error('Get category attributes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/categories/filters
 // @desc    Get all filter options
 // @access  Public
@@ -109,9 +105,15 @@ router.get('/filters', async (req, res) => {
       return acc;
     }, {});
 
+    // Attributes buyers can filter on (attrs[key]=... on GET /api/listings)
+    const attributeDefinitions = await getAllAttributeDefinitions();
+
     const categoriesWithCounts = categories.map(cat => ({
       ...cat,
-      count: countsMap[cat.name] || 0
+      count: countsMap[cat.name] || 0,
+      attributes: (attributeDefinitions[cat.name] || [])
+        .filter(definition => definition.filterable)
+        .map(({ key, label, type, options, unit, min, max }) => ({ key, label, type, options, unit, min, max }))
     }));
 
     res.json({
@@ -0,0 +1,66 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { purgeDueAccounts } = require('../utils/accountData');
+const { releaseExpiredReservations } = require('../utils/reservations');
+const { sendSavedSearchDigests } = require('../utils/savedSearches');
+const {
+  publishScheduledListings,
+  sendExpiryReminders,
+  expireDueListings
+} = require('../utils/listingExpiry');
+
+// Background jobs for deploys without a long-running server (Vercel Cron, see vercel.json).
+// The local server runs the same jobs on intervals (server.js).
+const JOBS = {
+  'purge-accounts': async () => ({ purged: await purgeDueAccounts() }),
+  'release-reservations': async (io) => ({ released: await releaseExpiredReservations(io) }),
+  'saved-search-digests': async () => ({ sent: await sendSavedSearchDigests() }),
+  'publish-scheduled': async (io) => ({ published: await publishScheduledListings(io) }),
+  // Reminders first, like the local job, so a listing is reminded before it expires
+  'expire-listings': async (io) => ({
+    reminded: await sendExpiryReminders(io),
+    expired: await expireDueListings()
+  })
+};
+
+// Vercel Cron sends `Authorization: Bearer <CRON_SECRET>`; without a secret the endpoint is off
+const isAuthorized = (req) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return false;
+
+  const expected = crypto.createHash('sha256').update(`Bearer ${secret}`).digest();
+  const actual = crypto.createHash('sha256').update(req.headers.authorization || '').digest();
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// @route   GET /api/cron/:job
+// @desc    Run a background job
+// @access  Cron (CRON_SECRET)
+router.get('/:job', async (req, res) => {
+  try {
+    const job = Object.prototype.hasOwnProperty.call(JOBS, req.params.job) ? JOBS[req.params.job] : null;
+    if (!isAuthorized(req) || !job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Not found'
+      });
+    }
+
+    const result = await job(req.app.get('io'));
+    console.log(`[CRON] ${req.params.job}:`, JSON.stringify(result));
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Cron job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
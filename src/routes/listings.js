@@ -1,13 +1,199 @@
 const express = require('express');
 const router = express.Router();
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const Listing = require('../models/Listing');
 const User = require('../models/User');
+const Offer = require('../models/Offer');
+const Transaction = require('../models/Transaction');
+const { Conversation } = require('../models/Message');
 const { protect, optionalAuth, verifiedOnly } = require('../middleware/auth');
-const { upload, handleUploadErrors, compressImages, convertToDataUrl } = require('../middleware/upload');
+const {
+  MAX_LISTING_IMAGES,
+  upload,
+  handleUploadErrors,
+  compressImages,
+  convertToDataUrl,
+  removeUploadedFile,
+  toListingImages
+} = require('../middleware/upload');
+const { publishListing, renewListing, verifyRenewToken } = require('../utils/listingExpiry');
+const { notifyPriceDrop } = require('../utils/priceAlerts');
+const { buildListingQuery, buildListingSort, buildFacetPipelines, formatFacets, notExpired } = require('../utils/listingQuery');
+const { parseLocationInput, parseNearFilter, distanceKm } = require('../utils/geo');
+const { parseAttributesInput, validateAttributes, buildAttributeFilters } = require('../utils/categoryAttributes');
+const { withTieBreaker, decodeCursor, applyCursor, parseCursorLimit, buildCursorPage } = require('../utils/pagination');
+const { recordSearchTerm, getSuggestions } = require('../utils/suggestions');
+const { isOpenForOffers, declineOtherOffers } = require('../utils/offers');
+const {
+  MAX_RESERVATION_HOURS,
+  reserveListing,
+  releaseReservation,
+  postReservationUpdate,
+  releaseIfExpired
+} = require('../utils/reservations');
+
+// How far ahead a listing can be scheduled
+const MAX_SCHEDULE_DAYS = 60;
+
+// Parse an optional publishAt value from the request body.
+// Returns { publishAt } (a Date, or null to clear) or { error }
+const parsePublishAt = (value) => {
+  if (value === undefined) return {};
+  if (value === null || value === '') return { publishAt: null };
+
+  const publishAt = new Date(value);
+  if (isNaN(publishAt)) {
+    return { error: 'Invalid publish date' };
+  }
+  if (publishAt <= new Date()) {
+    return { error: 'Publish date must be in the future' };
+  }
+  if (publishAt > new Date(Date.now() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000)) {
+    return { error: `Listings can be scheduled up to ${MAX_SCHEDULE_DAYS} days ahead` };
+  }
+  return { publishAt };
+};
+
+// Languages a listing can be translated into
+const TRANSLATION_LANGUAGES = ['ar', 'en'];
+
+// Parse optional translations from the request body: { ar: { title, description }, en: {...} }
+// (a JSON string for multipart forms). Returns { translations } or { error }
+const parseTranslations = (value) => {
+  if (value === undefined || value === '') return {};
+
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      return { error: 'Invalid translations' };
+    }
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { error: 'Invalid translations' };
+  }
+
+  const translations = {};
+  for (const [language, fields] of Object.entries(parsed)) {
+    if (!TRANSLATION_LANGUAGES.includes(language)) {
+      return { error: `Translations are supported for: ${TRANSLATION_LANGUAGES.join(', ')}` };
+    }
+    if (!fields || typeof fields !== 'object') {
+      return { error: 'Invalid translations' };
+    }
+
+    translations[language] = {};
+    for (const field of ['title', 'description']) {
+      if (fields[field] === undefined || fields[field] === null) continue;
+      if (typeof fields[field] !== 'string') {
+        return { error: `Invalid ${language} ${field}` };
+      }
+      translations[language][field] = fields[field].trim();
+    }
+  }
+  return { translations };
+};
+
+// Mongoose validation errors as a 400 response
+const sendValidationError = (res, error, message = 'Validation error') => res.status(400).json({
+  success: false,
+  message,
+  errors: Object.values(error.errors).map(err => ({
+    field: err.path,
+    message: err.message
+  }))
+});
+
+// Parse and validate listing attributes for a category.
+// Returns the attributes, or null after sending a 400 response.
+const readAttributes = async (res, category, raw, options) => {
+  const { input, error } = parseAttributesInput(raw);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      message: error
+    });
+    return null;
+  }
+
+  const { attributes, errors } = await validateAttributes(category, input, options);
+  if (errors) {
+    res.status(400).json({
+      success: false,
+      message: options?.message || 'Invalid attributes',
+      errors
+    });
+    return null;
+  }
+  return attributes;
+};
+
+// Check that new images fit within the listing's image limit.
+// Otherwise a 400 response is sent (the caller removes the uploaded files).
+const checkImageLimit = (res, listing, newImages) => {
+  const remaining = MAX_LISTING_IMAGES - (listing.images || []).length;
+  if (newImages.length <= remaining) return true;
+
+  res.status(400).json({
+    success: false,
+    message: remaining > 0
+      ? `A listing can have up to ${MAX_LISTING_IMAGES} images (${remaining} more allowed)`
+      : `A listing can have up to ${MAX_LISTING_IMAGES} images. Remove one to add another`
+  });
+  return false;
+};
+
+// Load a listing whose images the user may change (owner or moderator).
+// Returns the listing, or null after sending a 404/403 response.
+const loadEditableListing = async (req, res) => {
+  const listing = await Listing.findById(req.params.id);
+
+  if (!listing || listing.isDeleted) {
+    res.status(404).json({
+      success: false,
+      message: 'Listing not found'
+    });
+    return null;
+  }
+
+  if (listing.seller.toString() !== req.user._id.toString() && !req.user.hasPermission('listings.moderate')) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this listing'
+    });
+    return null;
+  }
+
+  return listing;
+};
+
+// Save a new order of a listing's images, unless they changed since it was loaded.
+// Returns the updated listing, or null after sending a 409 response.
+const saveImageOrder = async (res, listing, images) => {
+  const updated = await Listing.findOneAndUpdate(
+    {
+      _id: listing._id,
+      images: { $size: listing.images.length },
+      'images._id': { $all: listing.images.map(image => image._id) }
+    },
+    { $set: { images } },
+    { new: true }
+  );
+
+  if (!updated) {
+    res.status(409).json({
+      success: false,
+      message: 'The listing\'s images have changed. Reload and try again'
+    });
+    return null;
+  }
+  return updated;
+};
 
 // @route   GET /api/listings
-// @desc    Get all listings with filters, search, and pagination
+// @desc    Get all listings with filters, search, and pagination (facets=true adds facet counts,
+//          cursor= switches from page numbers to cursor pagination)
 // @access  Public
 router.get('/', optionalAuth, async (req, res) => {
   try {
@@ -22,60 +208,166 @@ router.get('/', optionalAuth, async (req, res) => {
       page = 1,
       limit = 20,
       featured,
-      seller
+      seller,
+      lat,
+      lng,
+      radius,
+      attrs,
+      facets,
+      cursor
     } = req.query;
 
+    const { near, error: nearError } = parseNearFilter({ lat, lng, radius });
+    if (nearError) {
+      return res.status(400).json({
+        success: false,
+        message: nearError
+      });
+    }
+
+    const { conditions: attributes, error: attrsError } = await buildAttributeFilters(category, attrs);
+    if (attrsError) {
+      return res.status(400).json({
+        success: false,
+        message: attrsError
+      });
+    }
+
+    // Pagination: page numbers, or a cursor when ?cursor= is present
+    const useCursor = cursor !== undefined;
+    const skip = (Number(page) - 1) * Number(limit);
+    const withFacets = facets === 'true';
+
+    if (sort === 'distance') {
+      // Distance is computed per request, so there's no stored key to continue from
+      if (useCursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cursor pagination is not available when sorting by distance'
+        });
+      }
+      if (!near) {
+        return res.status(400).json({
+          success: false,
+          message: 'Sorting by distance needs lat and lng'
+        });
+      }
+      // $geoNear can't run together with a text search
+      if (search) {
+        return res.status(400).json({
+          success: false,
+          message: 'Sorting by distance cannot be combined with a text search'
+        });
+      }
+    }
+
     // Build query - include soft-deleted items within 2 days
-    const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
-    const queryObj = {
-      moderationStatus: 'approved',
-      $or: [
-        { status: 'active', isDeleted: { $ne: true } }, // Active & not deleted
-        { isDeleted: true, deletedAt: { $gt: twoDaysAgo } } // Soft-deleted within 2 days (status may be 'sold')
-      ]
+    // (for distance sorting, $geoNear applies the radius itself)
+    const queryObj = sort === 'distance'
+      ? buildListingQuery({ category, condition, minPrice, maxPrice, location, featured, seller, attributes })
+      : buildListingQuery({ category, condition, minPrice, maxPrice, location, search, featured, seller, near, attributes });
+
+    const sortOption = buildListingSort(sort);
+    const { filter: cursorFilter, error: cursorError } = useCursor ? decodeCursor(cursor, sortOption, Listing.schema) : {};
+    if (cursorError) {
+      return res.status(400).json({
+        success: false,
+        message: cursorError
+      });
+    }
+    const pageLimit = useCursor ? parseCursorLimit(limit) : Number(limit);
+
+    // Searches that found something feed search suggestions (first page only)
+    const trackSearch = (found) => {
+      if (search && found && (useCursor ? !cursor : Number(page) === 1)) {
+        recordSearchTerm(search, req.user ? `user:${req.user._id}` : `ip:${req.ip}`)
+          .catch(err => console.error('Record search term error:', err));
+      }
     };
 
-    if (category) queryObj.category = category;
-    if (condition) queryObj.condition = condition;
-    if (location) queryObj['location.area'] = location;
-    if (seller) queryObj.seller = seller;
-    if (featured === 'true') queryObj.featured = true;
-
-    // Price filter
-    if (minPrice || maxPrice) {
-      queryObj.price = {};
-      if (minPrice) queryObj.price.$gte = Number(minPrice);
-      if (maxPrice) queryObj.price.$lte = Number(maxPrice);
-    }
-
-    // Text search
-    if (search) {
-      queryObj.$text = { $search: search };
-    }
-
-    // Sort options
-    let sortOption = {};
-    switch (sort) {
-      case 'price_low':
-        sortOption = { price: 1 };
-        break;
-      case 'price_high':
-        sortOption = { price: -1 };
-        break;
-      case 'popular':
-        sortOption = { views: -1 };
-        break;
-      case 'oldest':
-        sortOption = { createdAt: 1 };
-        break;
-      case 'newest':
-      case 'recent':
-      default:
-        sortOption = { createdAt: -1 };
-    }
-
-    // Pagination
-    const skip = (Number(page) - 1) * Number(limit);
+    // Plain searches are a find; distance sorting and facets need one aggregation
+    // that returns the page, the total and the facet counts together
+    if (sort === 'distance' || withFacets) {
+      const origin = near && [near.lng, near.lat];
+      const castQuery = Listing.find(queryObj).cast(Listing);
+
+      const [result] = await Listing.aggregate([
+        ...(sort === 'distance'
+          ? [{
+            $geoNear: {
+              near: { type: 'Point', coordinates: origin },
+              key: 'location.publicPoint',
+              distanceField: 'distance',
+              maxDistance: near.radiusKm * 1000,
+              query: castQuery,
+              spherical: true
+            }
+          }]
+          : [{ $match: castQuery }, { $sort: useCursor ? withTieBreaker(sortOption) : sortOption }]),
+        {
+          $facet: {
+            // Total and facets cover every match; only the page itself starts at the cursor
+            listings: useCursor
+              ? [{ $match: Listing.find(cursorFilter).cast(Listing) }, { $limit: pageLimit + 1 }]
+              : [{ $skip: skip }, { $limit: Number(limit) }],
+            total: [{ $count: 'count' }],
+            ...(withFacets ? buildFacetPipelines() : {})
+          }
+        }
+      ]);
+
+      const { items, nextCursor } = useCursor
+        ? buildCursorPage(result.listings, pageLimit, sortOption)
+        : { items: result.listings };
+      const listings = items.map(doc => Listing.hydrate(doc));
+      await Listing.populate(listings, { path: 'seller', select: 'name avatar rating' });
+      const total = result.total[0]?.count || 0;
+      trackSearch(total > 0);
+
+      if (useCursor) {
+        return res.json({
+          success: true,
+          listings,
+          facets: withFacets ? formatFacets(result) : undefined,
+          pagination: { limit: pageLimit, total, nextCursor }
+        });
+      }
+
+      return res.json({
+        success: true,
+        listings: sort !== 'distance' ? listings : listings.map(listing => {
+          const listingData = listing.toJSON();
+          // Distance to the rounded position, the same one $geoNear sorted by
+          return {
+            ...listingData,
+            distance: Math.round(distanceKm(origin, listingData.location.point.coordinates) * 10) / 10
+          };
+        }),
+        facets: withFacets ? formatFacets(result) : undefined,
+        pagination: {
+          page: Number(page),
+          limit: Number(limit),
+          total,
+          pages: Math.ceil(total / Number(limit))
+        }
+      });
+    }
+
+    if (useCursor) {
+      const docs = await Listing.find(applyCursor(queryObj, cursorFilter))
+        .populate('seller', 'name avatar rating')
+        .sort(withTieBreaker(sortOption))
+        .limit(pageLimit + 1);
+
+      const { items, nextCursor } = buildCursorPage(docs, pageLimit, sortOption);
+      trackSearch(items.length > 0);
+
+      return res.json({
+        success: true,
+        listings: items,
+        pagination: { limit: pageLimit, nextCursor }
+      });
+    }
 
     // Execute query
     const listings = await Listing.find(queryObj)
@@ -86,6 +378,7 @@ router.get('/', optionalAuth, async (req, res) => {
 
     // Get total count
     const total = await Listing.countDocuments(queryObj);
+    trackSearch(total > 0);
 
     res.json({
       success: true,
@@ -106,20 +399,44 @@ router.get('/', optionalAuth, async (req, res) => {
   }
 });
 
+// @route   GET /api/listings/suggest
+// @desc    Search suggestions while typing: popular searches, categories, areas and listing titles
+// @access  Public
+router.get('/suggest', [
+  query('q').isString().withMessage('Search text is required').bail()
+    .isLength({ max: 100 }).withMessage('Search text cannot exceed 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const suggestions = await getSuggestions(req.query.q);
+
+    res.json({
+      success: true,
+      query: req.query.q,
+      ...suggestions
+    });
+  } catch (error) {
+    console.error('Get suggestions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/listings/featured
 // @desc    Get featured listings
 // @access  Public
 router.get('/featured', async (req, res) => {
   try {
-    const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
-    const listings = await Listing.find({
-      moderationStatus: 'approved',
-      featured: true,
-      $or: [
-        { status: 'active', isDeleted: { $ne: true } },
-        { isDeleted: true, deletedAt: { $gt: twoDaysAgo } }
-      ]
-    })
+    const listings = await Listing.find(buildListingQuery({ featured: true }))
       .populate('seller', 'name avatar rating')
       .sort({ createdAt: -1 })
       .limit(8);
@@ -143,15 +460,8 @@ router.get('/featured', async (req, res) => {
 router.get('/recent', async (req, res) => {
   try {
     const { limit = 8 } = req.query;
-    const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
-
-    const listings = await Listing.find({
-      moderationStatus: 'approved',
-      $or: [
-        { status: 'active', isDeleted: { $ne: true } },
-        { isDeleted: true, deletedAt: { $gt: twoDaysAgo } }
-      ]
-    })
+
+    const listings = await Listing.find(buildListingQuery())
       .populate('seller', 'name avatar rating')
       .sort({ createdAt: -1 })
       .limit(Number(limit));
@@ -212,7 +522,7 @@ router.get('/stats', async (req, res) => {
 router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const listing = await Listing.findById(req.params.id)
-      .populate('seller', 'name avatar rating salesCount phone createdAt');
+      .populate('seller', 'name avatar rating salesCount phone phoneVerified createdAt');
 
     if (!listing) {
       return res.status(404).json({
@@ -221,6 +531,14 @@ router.get('/:id', optionalAuth, async (req, res) => {
       });
     }
 
+    // Release a reservation that ran out before the release job got to it
+    await releaseIfExpired(req.app.get('io'), listing);
+
+    // Only show phone numbers the seller has confirmed
+    if (listing.seller && !listing.seller.phoneVerified) {
+      listing.seller.phone = undefined;
+    }
+
     // Check if listing is soft-deleted
     if (listing.isDeleted) {
       // Allow everyone to view soft-deleted listings for 2 days
@@ -239,7 +557,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
       return res.json({
         success: true,
         listing: {
-          ...listing.toObject(),
+          ...listing.toJSON(),
           status: 'sold', // Display as sold
           deleteInfo: {
             isDeleted: true,
@@ -251,10 +569,20 @@ router.get('/:id', optionalAuth, async (req, res) => {
       });
     }
 
+    // Drafts and scheduled listings are private until they go live
+    if (['draft', 'scheduled'].includes(listing.status)) {
+      if (!req.user || (req.user._id.toString() !== listing.seller._id.toString() && !req.user.hasPermission('listings.moderate'))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Listing not found'
+        });
+      }
+    }
+
     // Check moderation status for non-deleted listings
     if (listing.moderationStatus !== 'approved') {
-      // Only owner and admin can view pending/rejected listings
-      if (!req.user || (req.user._id.toString() !== listing.seller._id.toString() && !req.user.isAdmin)) {
+      // Only owner and moderators can view pending/rejected listings
+      if (!req.user || (req.user._id.toString() !== listing.seller._id.toString() && !req.user.hasPermission('listings.moderate'))) {
         return res.status(403).json({
           success: false,
           message: 'This listing is pending approval'
@@ -274,9 +602,17 @@ router.get('/:id', optionalAuth, async (req, res) => {
       isFavorited = req.user.favorites.includes(listing._id);
     }
 
+    // Who a listing is reserved for is only shown to the seller and that buyer
+    const listingData = listing.toJSON();
+    const viewerId = req.user?._id.toString();
+    if (!viewerId || (viewerId !== listing.seller._id.toString() && viewerId !== listing.reservation?.buyer?.toString())) {
+      delete listingData.reservation;
+    }
+
     res.json({
       success: true,
-      listing,
+      listing: listingData,
+      priceDrop: listing.getPriceDrop(),
       isFavorited
     });
   } catch (error) {
@@ -302,15 +638,9 @@ router.get('/:id/similar', async (req, res) => {
       });
     }
 
-    const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
     const similarListings = await Listing.find({
-      _id: { $ne: listing._id },
-      category: listing.category,
-      moderationStatus: 'approved',
-      $or: [
-        { status: 'active', isDeleted: { $ne: true } },
-        { isDeleted: true, deletedAt: { $gt: twoDaysAgo } }
-      ]
+      ...buildListingQuery({ category: listing.category }),
+      _id: { $ne: listing._id }
     })
       .populate('seller', 'name avatar rating')
       .sort({ createdAt: -1 })
@@ -332,7 +662,7 @@ router.get('/:id/similar', async (req, res) => {
 // @route   POST /api/listings
 // @desc    Create new listing
 // @access  Private
-router.post('/', protect, verifiedOnly, upload.array('images', 10), compressImages, convertToDataUrl, handleUploadErrors, [
+router.post('/', protect, verifiedOnly, upload.array('images', MAX_LISTING_IMAGES), compressImages, convertToDataUrl, handleUploadErrors, [
   body('title').trim().notEmpty().withMessage('Title is required'),
   body('description').trim().notEmpty().withMessage('Description is required'),
   body('price').isNumeric().withMessage('Valid price is required'),
@@ -357,11 +687,35 @@ router.post('/', protect, verifiedOnly, upload.array('images', 10), compressImag
 
     const { title, description, price, category, condition, location } = req.body;
 
+    const { publishAt, error: publishAtError } = parsePublishAt(req.body.publishAt);
+    if (publishAtError) {
+      return res.status(400).json({
+        success: false,
+        message: publishAtError
+      });
+    }
+
+    const { location: parsedLocation, error: locationError } = parseLocationInput(location);
+    if (locationError) {
+      return res.status(400).json({
+        success: false,
+        message: locationError
+      });
+    }
+
+    const attributes = await readAttributes(res, category, req.body.attributes);
+    if (!attributes) return;
+
+    const { translations, error: translationsError } = parseTranslations(req.body.translations);
+    if (translationsError) {
+      return res.status(400).json({
+        success: false,
+        message: translationsError
+      });
+    }
+
     // Process uploaded images (dataUrl for Vercel, file path for local)
-    const images = req.files ? req.files.map(file => ({
-      url: file.dataUrl || `/uploads/${file.filename}`,
-      filename: file.filename
-    })) : [];
+    const images = toListingImages(req.files);
 
     const listing = await Listing.create({
       title,
@@ -369,8 +723,11 @@ router.post('/', protect, verifiedOnly, upload.array('images', 10), compressImag
       price: Number(price),
       category,
       condition,
-      location: typeof location === 'string' ? JSON.parse(location) : location,
+      location: parsedLocation,
+      attributes,
+      translations,
       images,
+      publishAt,
       seller: req.user._id
     });
 
@@ -385,14 +742,7 @@ router.post('/', protect, verifiedOnly, upload.array('images', 10), compressImag
 
     // Handle mongoose validation errors
     if (error.name === 'ValidationError') {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        errors: Object.values(error.errors).map(err => ({
-          field: err.path,
-          message: err.message
-        }))
-      });
+      return sendValidationError(res, error);
     }
 
     res.status(500).json({
@@ -402,60 +752,88 @@ router.post('/', protect, verifiedOnly, upload.array('images', 10), compressImag
   }
 });
 
-// @route   PUT /api/listings/:id
-// @desc    Update listing
-// @access  Private (owner only)
-router.put('/:id', protect, upload.array('images', 10), compressImages, convertToDataUrl, handleUploadErrors, async (req, res) => {
+// @route   POST /api/listings/drafts
+// @desc    Save a draft listing (any subset of fields and images)
+// @access  Private
+router.post('/drafts', protect, upload.array('images', MAX_LISTING_IMAGES), compressImages, convertToDataUrl, handleUploadErrors, [
+  body('title').optional().trim(),
+  body('description').optional().trim(),
+  body('price').optional({ checkFalsy: true }).isNumeric().withMessage('Valid price is required')
+], async (req, res) => {
   try {
-    let listing = await Listing.findById(req.params.id);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    if (!listing) {
-      return res.status(404).json({
+    const { title, description, price, category, condition, location } = req.body;
+
+    const { publishAt, error: publishAtError } = parsePublishAt(req.body.publishAt);
+    if (publishAtError) {
+      return res.status(400).json({
         success: false,
-        message: 'Listing not found'
+        message: publishAtError
       });
     }
 
-    // Check ownership
-    if (listing.seller.toString() !== req.user._id.toString() && !req.user.isAdmin) {
-      return res.status(403).json({
+    const { location: parsedLocation, error: locationError } = location ? parseLocationInput(location) : {};
+    if (locationError) {
+      return res.status(400).json({
         success: false,
-        message: 'Not authorized to update this listing'
+        message: locationError
       });
     }
 
-    const { title, description, price, category, condition, location, status } = req.body;
+    const { translations, error: translationsError } = parseTranslations(req.body.translations);
+    if (translationsError) {
+      return res.status(400).json({
+        success: false,
+        message: translationsError
+      });
+    }
 
-    const updateData = {};
-    if (title) updateData.title = title;
-    if (description) updateData.description = description;
-    if (price) updateData.price = Number(price);
-    if (category) updateData.category = category;
-    if (condition) updateData.condition = condition;
-    if (location) updateData.location = typeof location === 'string' ? JSON.parse(location) : location;
-    if (status) updateData.status = status;
+    const images = toListingImages(req.files);
+
+    const draft = new Listing({
+      seller: req.user._id,
+      status: 'draft',
+      images,
+      publishAt
+    });
 
-    // Add new images if uploaded (dataUrl for Vercel, file path for local)
-    if (req.files && req.files.length > 0) {
-      const newImages = req.files.map(file => ({
-        url: file.dataUrl || `/uploads/${file.filename}`,
-        filename: file.filename
-      }));
-      updateData.images = [...(listing.images || []), ...newImages];
+    if (title) draft.title = title;
+    if (description) draft.description = description;
+    if (price) draft.price = Number(price);
+    if (category) draft.category = category;
+    if (condition) draft.condition = condition;
+    if (parsedLocation) draft.location = parsedLocation;
+    if (translations) draft.translations = translations;
+
+    if (req.body.attributes) {
+      // Drafts may leave required attributes for later
+      const attributes = await readAttributes(res, category, req.body.attributes, { partial: true });
+      if (!attributes) return;
+      draft.attributes = attributes;
     }
 
-    listing = await Listing.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    ).populate('seller', 'name avatar rating');
+    await draft.save();
 
-    res.json({
+    res.status(201).json({
       success: true,
-      listing
+      message: 'Draft saved',
+      listing: draft
     });
   } catch (error) {
-    console.error('Update listing error:', error);
+    console.error('Save draft error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -463,21 +841,11 @@ router.put('/:id', protect, upload.array('images', 10), compressImages, convertT
   }
 });
 
-// @route   DELETE /api/listings/:id
-// @desc    Soft delete listing (shows as sold for 2 days)
+// @route   POST /api/listings/:id/submit
+// @desc    Submit a draft for moderation
 // @access  Private (owner only)
-router.delete('/:id', protect, [
-  body('reason').notEmpty().withMessage('Please select a reason for deletion')
-], async (req, res) => {
+router.post('/:id/submit', protect, verifiedOnly, async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        errors: errors.array()
-      });
-    }
-
     const listing = await Listing.findById(req.params.id);
 
     if (!listing) {
@@ -487,29 +855,66 @@ router.delete('/:id', protect, [
       });
     }
 
-    // Check ownership (admin bypass removed - only owner can soft delete)
     if (listing.seller.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to delete this listing'
+        message: 'Not authorized to submit this listing'
       });
     }
 
-    // Soft delete: mark as deleted, set timestamp and reason
-    listing.isDeleted = true;
-    listing.deletedAt = new Date();
-    listing.deleteReason = req.body.reason;
-    listing.status = 'sold'; // Display as sold in UI
+    if (listing.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only drafts can be submitted'
+      });
+    }
+
+    const { publishAt, error: publishAtError } = parsePublishAt(req.body.publishAt);
+    if (publishAtError) {
+      return res.status(400).json({
+        success: false,
+        message: publishAtError
+      });
+    }
+    if (publishAt !== undefined) listing.publishAt = publishAt;
+
+    // A schedule that has passed while the draft waited no longer applies
+    if (listing.publishAt && listing.publishAt <= new Date()) {
+      listing.publishAt = null;
+    }
+
+    // Attributes the category no longer defines are dropped; required ones must be set
+    const attributes = await readAttributes(res, listing.category, listing.attributes, {
+      dropUnknown: true,
+      message: 'Please complete the listing before submitting'
+    });
+    if (!attributes) return;
+    listing.attributes = attributes;
+
+    // Same requirements as a listing created in one go
+    listing.status = 'active';
+    listing.moderationStatus = 'pending';
+    listing.moderationNote = '';
+
+    try {
+      await listing.validate();
+    } catch (validationError) {
+      if (validationError.name === 'ValidationError') {
+        return sendValidationError(res, validationError, 'Please complete the listing before submitting');
+      }
+      throw validationError;
+    }
 
     await listing.save();
+    await listing.populate('seller', 'name avatar rating');
 
     res.json({
       success: true,
-      message: 'Listing will be removed in 2 days',
+      message: 'Listing submitted for review',
       listing
     });
   } catch (error) {
-    console.error('Delete listing error:', error);
+    console.error('Submit draft error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -517,10 +922,15 @@ router.delete('/:id', protect, [
   }
 });
 
-// @route   POST /api/listings/:id/favorite
-// @desc    Toggle favorite listing
-// @access  Private
-router.post('/:id/favorite', protect, async (req, res) => {
+// @route   PUT /api/listings/:id
+// @desc    Update listing
+// @access  Private (owner only)
+router.put('/:id', protect, upload.array('images', MAX_LISTING_IMAGES), compressImages, convertToDataUrl, handleUploadErrors, async (req, res) => {
+  const newImages = toListingImages(req.files);
+  const discardUploads = () => Promise.all(newImages.map(removeUploadedFile)).catch(() => {});
+  // Uploads are removed unless they end up on the listing
+  let keepUploads = false;
+
   try {
     const listing = await Listing.findById(req.params.id);
 
@@ -531,24 +941,464 @@ router.post('/:id/favorite', protect, async (req, res) => {
       });
     }
 
-    const user = req.user;
-    const favoriteIndex = user.favorites.indexOf(listing._id);
+    // Check ownership
+    if (listing.seller.toString() !== req.user._id.toString() && !req.user.hasPermission('listings.moderate')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this listing'
+      });
+    }
 
-    if (favoriteIndex > -1) {
-      // Remove from favorites
-      user.favorites.splice(favoriteIndex, 1);
-      listing.favoritesCount = Math.max(0, listing.favoritesCount - 1);
-    } else {
-      // Add to favorites
-      user.favorites.push(listing._id);
-      listing.favoritesCount += 1;
+    const { title, description, price, category, condition, location, status } = req.body;
+
+    const { location: parsedLocation, error: locationError } = location ? parseLocationInput(location) : {};
+    if (locationError) {
+      return res.status(400).json({
+        success: false,
+        message: locationError
+      });
     }
 
-    await user.save();
-    await listing.save();
+    const updateData = {};
+    if (title) updateData.title = title;
+    if (description) updateData.description = description;
+    if (category) updateData.category = category;
+    if (condition) updateData.condition = condition;
+    if (parsedLocation) updateData.location = parsedLocation;
 
-    res.json({
-      success: true,
+    const { translations, error: translationsError } = parseTranslations(req.body.translations);
+    if (translationsError) {
+      return res.status(400).json({
+        success: false,
+        message: translationsError
+      });
+    }
+    if (translations) updateData.translations = translations;
+
+    // New attributes replace the old ones; a category change re-checks the current ones
+    if (req.body.attributes !== undefined || category) {
+      const attributes = await readAttributes(
+        res,
+        category || listing.category,
+        req.body.attributes !== undefined ? req.body.attributes : listing.attributes,
+        { partial: listing.status === 'draft', dropUnknown: req.body.attributes === undefined }
+      );
+      if (!attributes) return;
+      updateData.attributes = attributes;
+    }
+
+    // Reserving needs a buyer and selling records a transaction
+    if (['pending', 'sold'].includes(status) && status !== listing.status) {
+      return res.status(400).json({
+        success: false,
+        message: status === 'pending'
+          ? 'Reserve the listing for a buyer instead'
+          : 'Mark the listing as sold to a buyer instead'
+      });
+    }
+    // Drafts go live through submit, scheduled listings through the publish job,
+    // expired listings through renew. A sale is final: reopening a sold listing
+    // would let it be sold (and counted) again.
+    const managedStatuses = ['draft', 'scheduled', 'expired', 'sold'];
+    if (status && status !== listing.status && (managedStatuses.includes(status) || managedStatuses.includes(listing.status))) {
+      const messages = {
+        draft: 'Submit the draft to publish it',
+        expired: 'Renew the listing to publish it again',
+        sold: 'A sold listing cannot be made available again'
+      };
+      return res.status(400).json({
+        success: false,
+        message: messages[listing.status] || 'This status cannot be set directly'
+      });
+    }
+    if (status) updateData.status = status;
+    // Moving a reserved listing out of 'pending' ends the reservation
+    if (status && status !== 'pending' && listing.status === 'pending') {
+      updateData.reservation = undefined;
+    }
+
+    const { publishAt, error: publishAtError } = parsePublishAt(req.body.publishAt);
+    if (publishAtError) {
+      return res.status(400).json({
+        success: false,
+        message: publishAtError
+      });
+    }
+    if (publishAt !== undefined) updateData.publishAt = publishAt;
+
+    // New images must fit within the listing's image limit
+    if (newImages.length > 0 && !checkImageLimit(res, listing, newImages)) return;
+
+    listing.set(updateData);
+
+    // Removing the schedule of an approved listing publishes it now
+    if (listing.status === 'scheduled' && publishAt === null) {
+      publishListing(listing);
+    }
+
+    // Price goes through changePrice so the old price is kept in priceHistory
+    const priceChange = price ? listing.changePrice(Number(price)) : null;
+
+    await listing.validate();
+
+    // Images are appended like POST /:id/images, not written back from the loaded
+    // listing, which could restore one removed meanwhile
+    let images = null;
+    if (newImages.length > 0) {
+      const updated = await Listing.findOneAndUpdate(
+        { _id: listing._id, [`images.${MAX_LISTING_IMAGES - newImages.length}`]: { $exists: false } },
+        { $push: { images: { $each: newImages } } },
+        { new: true }
+      );
+
+      if (!updated) {
+        return res.status(400).json({
+          success: false,
+          message: `A listing can have up to ${MAX_LISTING_IMAGES} images`
+        });
+      }
+      keepUploads = true;
+      images = updated.images;
+    }
+
+    await listing.save();
+    await listing.populate('seller', 'name avatar rating');
+    // Shown in the response only (this listing was loaded before the images were added)
+    if (images) listing.images = images;
+
+    // Alert favoriters in the background - the seller shouldn't wait for it
+    if (priceChange && priceChange.to < priceChange.from) {
+      notifyPriceDrop(req.app.get('io'), listing, priceChange)
+        .catch(alertError => console.error('Price drop alert error:', alertError));
+    }
+
+    res.json({
+      success: true,
+      listing,
+      priceDrop: listing.getPriceDrop()
+    });
+  } catch (error) {
+    console.error('Update listing error:', error);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  } finally {
+    if (!keepUploads) discardUploads();
+  }
+});
+
+// @route   POST /api/listings/:id/images
+// @desc    Add images to a listing (up to MAX_LISTING_IMAGES in total)
+// @access  Private (owner only)
+router.post('/:id/images', protect, upload.array('images', MAX_LISTING_IMAGES), compressImages, convertToDataUrl, handleUploadErrors, async (req, res) => {
+  const newImages = toListingImages(req.files);
+  const discardUploads = () => Promise.all(newImages.map(removeUploadedFile)).catch(() => {});
+
+  try {
+    if (newImages.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload at least one image'
+      });
+    }
+
+    const listing = await loadEditableListing(req, res);
+    if (!listing) {
+      discardUploads();
+      return;
+    }
+    if (!checkImageLimit(res, listing, newImages)) {
+      discardUploads();
+      return;
+    }
+
+    // Only adds while there is still room, in case of concurrent uploads
+    const updated = await Listing.findOneAndUpdate(
+      { _id: listing._id, [`images.${MAX_LISTING_IMAGES - newImages.length}`]: { $exists: false } },
+      { $push: { images: { $each: newImages } } },
+      { new: true }
+    );
+
+    if (!updated) {
+      discardUploads();
+      return res.status(400).json({
+        success: false,
+        message: `A listing can have up to ${MAX_LISTING_IMAGES} images`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      images: updated.images
+    });
+  } catch (error) {
+    console.error('Add listing images error:', error);
+    discardUploads();
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/listings/:id/images/:imageId
+// @desc    Remove one image from a listing (and its stored file)
+// @access  Private (owner only)
+router.delete('/:id/images/:imageId', protect, [
+  param('imageId').isMongoId().withMessage('Invalid image')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const listing = await loadEditableListing(req, res);
+    if (!listing) return;
+
+    const image = listing.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    // Conditional on the image still being there, in case it or the listing was removed meanwhile
+    const updated = await Listing.findOneAndUpdate(
+      { _id: listing._id, 'images._id': image._id },
+      { $pull: { images: { _id: image._id } } },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+    await removeUploadedFile(image);
+
+    res.json({
+      success: true,
+      images: updated.images
+    });
+  } catch (error) {
+    console.error('Remove listing image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/listings/:id/images/order
+// @desc    Reorder a listing's images (order: every image id, cover first)
+// @access  Private (owner only)
+router.put('/:id/images/order', protect, [
+  body('order').isArray({ min: 1 }).withMessage('Please provide the image order'),
+  body('order.*').isMongoId().withMessage('Invalid image')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const listing = await loadEditableListing(req, res);
+    if (!listing) return;
+
+    const { order } = req.body;
+    const images = order.map(id => listing.images.id(id));
+    if (order.length !== listing.images.length || new Set(order).size !== order.length || images.includes(null)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The order must list every image of the listing once'
+      });
+    }
+
+    const updated = await saveImageOrder(res, listing, images.map(image => image.toObject()));
+    if (!updated) return;
+
+    res.json({
+      success: true,
+      images: updated.images
+    });
+  } catch (error) {
+    console.error('Reorder listing images error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/listings/:id/images/:imageId/cover
+// @desc    Make an image the listing's cover (first image)
+// @access  Private (owner only)
+router.put('/:id/images/:imageId/cover', protect, [
+  param('imageId').isMongoId().withMessage('Invalid image')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const listing = await loadEditableListing(req, res);
+    if (!listing) return;
+
+    const cover = listing.images.id(req.params.imageId);
+    if (!cover) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    const images = [cover, ...listing.images.filter(image => !image._id.equals(cover._id))];
+    const updated = await saveImageOrder(res, listing, images.map(image => image.toObject()));
+    if (!updated) return;
+
+    res.json({
+      success: true,
+      images: updated.images
+    });
+  } catch (error) {
+    console.error('Set listing cover error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/listings/:id
+// @desc    Soft delete listing (shows as sold for 2 days)
+// @access  Private (owner only)
+router.delete('/:id', protect, [
+  body('reason').notEmpty().withMessage('Please select a reason for deletion')
+], async (req, res) => {
+  try {
+    const listing = await Listing.findById(req.params.id);
+
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
+    }
+
+    await releaseIfExpired(req.app.get('io'), listing);
+
+    // Check ownership (admin bypass removed - only owner can soft delete)
+    if (listing.seller.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this listing'
+      });
+    }
+
+    // Drafts and scheduled listings were never public: remove them right away, no reason needed
+    if (['draft', 'scheduled'].includes(listing.status)) {
+      await Promise.all((listing.images || []).map(removeUploadedFile));
+      await listing.deleteOne();
+
+      return res.json({
+        success: true,
+        message: listing.status === 'draft' ? 'Draft deleted' : 'Listing deleted'
+      });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    // Soft delete: mark as deleted, set timestamp and reason
+    const reservation = listing.status === 'pending' ? listing.reservation : null;
+    listing.isDeleted = true;
+    listing.deletedAt = new Date();
+    listing.deleteReason = req.body.reason;
+    listing.status = 'sold'; // Display as sold in UI
+    listing.reservation = undefined;
+
+    await listing.save();
+
+    // The reserved buyer and anyone with an open offer are told it's gone
+    const io = req.app.get('io');
+    if (reservation) {
+      await postReservationUpdate(io, reservation, req.user._id, {
+        title: 'Reservation Cancelled',
+        content: `${req.user.name} removed "${listing.title}", so its reservation was cancelled`
+      });
+    }
+    await declineOtherOffers(io, listing, null, 'the listing was removed');
+
+    res.json({
+      success: true,
+      message: 'Listing will be removed in 2 days',
+      listing
+    });
+  } catch (error) {
+    console.error('Delete listing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/listings/:id/favorite
+// @desc    Toggle favorite listing
+// @access  Private
+router.post('/:id/favorite', protect, async (req, res) => {
+  try {
+    const listing = await Listing.findById(req.params.id);
+
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
+    }
+
+    const user = req.user;
+    const favoriteIndex = user.favorites.indexOf(listing._id);
+
+    if (favoriteIndex > -1) {
+      // Remove from favorites
+      user.favorites.splice(favoriteIndex, 1);
+      listing.favoritesCount = Math.max(0, listing.favoritesCount - 1);
+    } else {
+      // Add to favorites
+      user.favorites.push(listing._id);
+      listing.favoritesCount += 1;
+    }
+
+    await user.save();
+    await listing.save();
+
+    res.json({
+      success: true,
       isFavorited: favoriteIndex === -1,
       favoritesCount: listing.favoritesCount
     });
@@ -622,10 +1472,77 @@ router.post('/:id/report', protect, [
   }
 });
 
-// @route   PUT /api/listings/:id/sold
-// @desc    Mark listing as sold
+// Why a listing can't be renewed, or null when it can
+const getRenewError = (listing) => {
+  if (listing.isDeleted) return 'Deleted listings cannot be renewed';
+  if (!['active', 'expired'].includes(listing.status)) return 'Only live or expired listings can be renewed';
+  if (listing.moderationStatus !== 'approved') return 'Listing is not approved';
+  return null;
+};
+
+// @route   POST /api/listings/renew
+// @desc    One-click renew from the expiry reminder email
+// @access  Public (signed token)
+router.post('/renew', [
+  body('token').notEmpty().withMessage('Renew token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const decoded = verifyRenewToken(req.body.token);
+    const listing = decoded && await Listing.findById(decoded.id);
+
+    if (!listing || listing.seller.toString() !== String(decoded.seller)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired renew link'
+      });
+    }
+
+    // The link is tied to the expiry date it was sent for
+    if (!listing.expiresAt || listing.expiresAt.getTime() !== decoded.expiresAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This listing has already been renewed',
+        expiresAt: listing.expiresAt
+      });
+    }
+
+    const renewError = getRenewError(listing);
+    if (renewError) {
+      return res.status(400).json({
+        success: false,
+        message: renewError
+      });
+    }
+
+    renewListing(listing);
+    await listing.save();
+
+    res.json({
+      success: true,
+      message: 'Listing renewed',
+      expiresAt: listing.expiresAt
+    });
+  } catch (error) {
+    console.error('Renew by link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/listings/:id/renew
+// @desc    Renew an active or expired listing for another full period
 // @access  Private (owner only)
-router.put('/:id/sold', protect, async (req, res) => {
+router.post('/:id/renew', protect, async (req, res) => {
   try {
     const listing = await Listing.findById(req.params.id);
 
@@ -643,15 +1560,308 @@ router.put('/:id/sold', protect, async (req, res) => {
       });
     }
 
-    listing.status = 'sold';
+    const renewError = getRenewError(listing);
+    if (renewError) {
+      return res.status(400).json({
+        success: false,
+        message: renewError
+      });
+    }
+
+    renewListing(listing);
     await listing.save();
 
+    res.json({
+      success: true,
+      message: 'Listing renewed',
+      listing
+    });
+  } catch (error) {
+    console.error('Renew listing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/listings/:id/reserve
+// @desc    Reserve listing for a buyer from one of its conversations (or extend the reservation)
+// @access  Private (owner only)
+router.put('/:id/reserve', protect, [
+  body('conversationId').isMongoId().withMessage('Conversation ID is required'),
+  body('hours').optional().isInt({ min: 1, max: MAX_RESERVATION_HOURS })
+    .withMessage(`Reservations can last 1 to ${MAX_RESERVATION_HOURS} hours`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const listing = await Listing.findById(req.params.id);
+
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
+    }
+
+    await releaseIfExpired(req.app.get('io'), listing);
+
+    if (listing.seller.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    if (!['active', 'pending'].includes(listing.status) || listing.moderationStatus !== 'approved' || listing.isDeleted) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only live listings can be reserved'
+      });
+    }
+
+    const conversation = await Conversation.findOne({
+      _id: req.body.conversationId,
+      listing: listing._id,
+      participants: req.user._id
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found for this listing'
+      });
+    }
+
+    const buyer = conversation.participants.find(p => p.toString() !== req.user._id.toString());
+    const extending = listing.status === 'pending' && listing.reservation?.buyer?.toString() === buyer.toString();
+
+    const reserved = await reserveListing(listing._id, {
+      buyer,
+      conversation: conversation._id,
+      offer: extending ? listing.reservation.offer : undefined,
+      hours: req.body.hours ? Number(req.body.hours) : undefined
+    });
+
+    if (!reserved) {
+      return res.status(400).json({
+        success: false,
+        message: 'This listing is already reserved for another buyer'
+      });
+    }
+
+    await postReservationUpdate(req.app.get('io'), reserved.reservation, req.user._id, {
+      title: extending ? 'Reservation Extended' : 'Listing Reserved',
+      content: `${req.user.name} reserved "${listing.title}" for you until ${reserved.reservation.expiresAt.toUTCString()}`
+    });
+
+    res.json({
+      success: true,
+      message: extending ? 'Reservation extended' : 'Listing reserved',
+      listing: reserved
+    });
+  } catch (error) {
+    console.error('Reserve listing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/listings/:id/reserve
+// @desc    Release a reservation (seller, or the buyer backing out)
+// @access  Private
+router.delete('/:id/reserve', protect, async (req, res) => {
+  try {
+    const listing = await Listing.findById(req.params.id);
+
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
+    }
+
+    await releaseIfExpired(req.app.get('io'), listing);
+
+    const userId = req.user._id.toString();
+    const isSeller = listing.seller.toString() === userId;
+    const isBuyer = listing.reservation?.buyer?.toString() === userId;
+
+    if (!isSeller && !isBuyer) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const { reservation } = listing;
+    const released = listing.status === 'pending' ? await releaseReservation(listing._id) : null;
+
+    if (!released) {
+      return res.status(400).json({
+        success: false,
+        message: 'Listing is not reserved'
+      });
+    }
+
+    await postReservationUpdate(req.app.get('io'), reservation, req.user._id, {
+      title: 'Reservation Released',
+      content: `${req.user.name} released the reservation of "${listing.title}"`
+    });
+
+    res.json({
+      success: true,
+      message: 'Reservation released',
+      listing: released
+    });
+  } catch (error) {
+    console.error('Release reservation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/listings/:id/sold
+// @desc    Mark listing as sold to a buyer (defaults to the reserved buyer) and record the transaction
+// @access  Private (owner only)
+router.put('/:id/sold', protect, [
+  body('buyerId').optional().isMongoId().withMessage('Invalid buyer'),
+  body('price').optional().isFloat({ min: 0 }).withMessage('Valid price is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const listing = await Listing.findById(req.params.id);
+
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
+    }
+
+    await releaseIfExpired(req.app.get('io'), listing);
+
+    if (listing.seller.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    if (listing.status === 'sold') {
+      return res.status(400).json({
+        success: false,
+        message: 'Listing is already marked as sold'
+      });
+    }
+
+    const isReserved = listing.status === 'pending' && listing.moderationStatus === 'approved' && !listing.isDeleted;
+    if (!isOpenForOffers(listing) && !isReserved) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only live or reserved listings can be marked as sold'
+      });
+    }
+
+    const reservation = isReserved ? listing.reservation : null;
+    const buyerId = req.body.buyerId || reservation?.buyer?.toString();
+
+    if (!buyerId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose the buyer'
+      });
+    }
+
+    // The buyer must have talked to the seller about this listing
+    const conversation = await Conversation.findOne({
+      listing: listing._id,
+      participants: { $all: [req.user._id, buyerId] }
+    });
+
+    if (buyerId === req.user._id.toString() || !conversation) {
+      return res.status(400).json({
+        success: false,
+        message: 'The buyer must be someone you have a conversation with about this listing'
+      });
+    }
+
+    // Agreed price: explicit, else the accepted offer for this buyer, else the asking price
+    const isReservedBuyer = reservation?.buyer?.toString() === buyerId;
+    const offer = isReservedBuyer && reservation.offer ? await Offer.findById(reservation.offer) : null;
+    const price = req.body.price !== undefined ? Number(req.body.price) : (offer ? offer.amount : listing.price);
+
+    // Conditional on the listing still being as checked, so a double submit records one sale
+    const sold = await Listing.findOneAndUpdate(
+      {
+        _id: listing._id,
+        moderationStatus: 'approved',
+        isDeleted: { $ne: true },
+        ...(reservation
+          ? { status: 'pending', 'reservation.buyer': reservation.buyer }
+          : { status: 'active', ...notExpired() })
+      },
+      { status: 'sold', $unset: { reservation: 1 } },
+      { new: true }
+    );
+
+    if (!sold) {
+      return res.status(409).json({
+        success: false,
+        message: 'The listing changed meanwhile, please try again'
+      });
+    }
+
+    const transaction = await Transaction.create({
+      listing: listing._id,
+      title: listing.title,
+      seller: req.user._id,
+      buyer: buyerId,
+      price,
+      offer: offer?._id,
+      conversation: conversation._id
+    });
+
     // Increment seller's sales count
     await User.findByIdAndUpdate(req.user._id, { $inc: { salesCount: 1 } });
 
+    const io = req.app.get('io');
+    await postReservationUpdate(io, { conversation: conversation._id }, req.user._id, {
+      title: 'Purchase Recorded',
+      content: `${req.user.name} marked "${listing.title}" as sold to you for EGP ${price.toLocaleString()}`
+    });
+
+    // Sold to someone else: the reserved buyer's hold is gone
+    if (reservation && !isReservedBuyer) {
+      await postReservationUpdate(io, reservation, req.user._id, {
+        title: 'Reservation Cancelled',
+        content: `${req.user.name} sold "${listing.title}" to another buyer, so your reservation was cancelled`
+      });
+    }
+    await declineOtherOffers(io, sold, null, 'the item has been sold');
+
     res.json({
       success: true,
-      message: 'Listing marked as sold'
+      message: 'Listing marked as sold',
+      transaction
     });
   } catch (error) {
     console.error('Mark sold error:', error);
@@ -3,9 +3,11 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { Conversation, Message } = require('../models/Message');
 const Listing = require('../models/Listing');
-const User = require('../models/User');
-const { protect } = require('../middleware/auth');
+const { protect, emailVerifiedOnly, requirePermission, requireAdminTwoFactor } = require('../middleware/auth');
 const { filterPersonalInfo } = require('../utils/contentFilter');
+const { notifyUser } = require('../utils/notificationService');
+const { sendNewMessage } = require('../utils/emailService');
+const { withTieBreaker, decodeCursor, applyCursor, parseCursorLimit, buildCursorPage } = require('../utils/pagination');
 
 // @route   GET /api/messages/conversations
 // @desc    Get all conversations for current user
@@ -47,7 +49,7 @@ router.get('/conversations', protect, async (req, res) => {
 });
 
 // @route   GET /api/messages/conversations/:id
-// @desc    Get single conversation with messages
+// @desc    Get single conversation with messages (cursor= for cursor pagination)
 // @access  Private
 router.get('/conversations/:id', protect, async (req, res) => {
   try {
@@ -70,10 +72,35 @@ router.get('/conversations/:id', protect, async (req, res) => {
       });
     }
 
-    // Get messages
-    const messages = await Message.find({ conversation: conversation._id })
-      .populate('sender', 'name avatar')
-      .sort({ createdAt: 1 });
+    // Get messages: the whole thread, or with ?cursor= the newest page first,
+    // each following cursor loading older messages (pages are in chronological order)
+    let messages;
+    let nextCursor;
+
+    if (req.query.cursor !== undefined) {
+      const sortOption = { createdAt: -1 };
+      const { filter, error } = decodeCursor(req.query.cursor, sortOption, Message.schema);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      const pageLimit = parseCursorLimit(req.query.limit, 50);
+      const docs = await Message.find(applyCursor({ conversation: conversation._id }, filter))
+        .populate('sender', 'name avatar')
+        .sort(withTieBreaker(sortOption))
+        .limit(pageLimit + 1);
+
+      const page = buildCursorPage(docs, pageLimit, sortOption);
+      messages = page.items.reverse();
+      nextCursor = page.nextCursor;
+    } else {
+      messages = await Message.find({ conversation: conversation._id })
+        .populate('sender', 'name avatar')
+        .sort({ createdAt: 1 });
+    }
 
     // Mark messages as read
     await Message.updateMany(
@@ -100,7 +127,8 @@ router.get('/conversations/:id', protect, async (req, res) => {
         ...conversation.toObject(),
         otherParticipant
       },
-      messages
+      messages,
+      nextCursor
     });
   } catch (error) {
     console.error('Get conversation error:', error);
@@ -114,7 +142,7 @@ router.get('/conversations/:id', protect, async (req, res) => {
 // @route   POST /api/messages/conversations
 // @desc    Start new conversation or get existing
 // @access  Private
-router.post('/conversations', protect, [
+router.post('/conversations', protect, emailVerifiedOnly, [
   body('listingId').notEmpty().withMessage('Listing ID is required'),
   body('sellerId').notEmpty().withMessage('Seller ID is required')
 ], async (req, res) => {
@@ -189,8 +217,10 @@ router.post('/conversations', protect, [
 // @route   POST /api/messages/:conversationId
 // @desc    Send message
 // @access  Private
-router.post('/:conversationId', protect, [
-  body('content').trim().notEmpty().withMessage('Message content is required')
+router.post('/:conversationId', protect, emailVerifiedOnly, [
+  body('content').trim().notEmpty().withMessage('Message content is required'),
+  // 'system' messages are only posted by the server (offers, reservations, sales)
+  body('type').optional().isIn(['text', 'image']).withMessage('Invalid message type')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -265,19 +295,14 @@ router.post('/:conversationId', protect, [
       });
     }
 
-    // Add notification for receiver
-    await User.findByIdAndUpdate(otherParticipant, {
-      $push: {
-        notifications: {
-          $each: [{
-            type: 'message',
-            title: 'New Message',
-            content: `${req.user.name} sent you a message`,
-            relatedId: conversation._id
-          }],
-          $slice: -50 // Keep only last 50 notifications
-        }
-      }
+    // Notify receiver (in-app, push and email, per their preferences)
+    await notifyUser(io, otherParticipant, {
+      category: 'messages',
+      type: 'message',
+      title: 'New Message',
+      content: `${req.user.name} sent you a message`,
+      relatedId: conversation._id,
+      email: recipient => sendNewMessage(recipient, req.user.name, conversation._id)
     });
 
     res.status(201).json({
@@ -361,18 +386,10 @@ router.delete('/conversations/:id', protect, async (req, res) => {
 });
 
 // @route   GET /api/messages/:messageId/original
-// @desc    Get original unfiltered message content (Admin only)
-// @access  Private/Admin
-router.get('/:messageId/original', protect, async (req, res) => {
+// @desc    Get original unfiltered message content (staff with messages.read_original)
+// @access  Private/Staff
+router.get('/:messageId/original', protect, requirePermission('messages.read_original'), requireAdminTwoFactor, async (req, res) => {
   try {
-    // Check if user is admin
-    if (!req.user.isAdmin) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized - Admin access required'
-      });
-    }
-
     const message = await Message.findById(req.params.messageId)
       .select('+originalContent')
       .populate('sender', 'name email');
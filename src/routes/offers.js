@@ -0,0 +1,488 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Offer = require('../models/Offer');
+const Listing = require('../models/Listing');
+const { protect, emailVerifiedOnly } = require('../middleware/auth');
+const {
+  formatAmount,
+  computeOfferExpiry,
+  isOpenForOffers,
+  postOfferUpdate,
+  declineOtherOffers,
+  expireOffer
+} = require('../utils/offers');
+const { findOrCreateConversation } = require('../utils/conversations');
+const { reserveListing, releaseIfExpired } = require('../utils/reservations');
+
+const populateOffer = (query) => query
+  .populate('listing', 'title images price status')
+  .populate('buyer', 'name avatar')
+  .populate('seller', 'name avatar');
+
+// Load an offer the current user takes part in; sends the error response otherwise
+const loadOffer = async (req, res) => {
+  const offer = await Offer.findById(req.params.id).populate('listing');
+
+  if (!offer) {
+    res.status(404).json({
+      success: false,
+      message: 'Offer not found'
+    });
+    return null;
+  }
+
+  const role = offer.getRole(req.user._id);
+  if (!role) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized'
+    });
+    return null;
+  }
+
+  // Expire it (and the listing's reservation) now if the jobs haven't yet
+  // (they don't run on serverless deploys)
+  if (offer.status === 'pending' && offer.expiresAt && offer.expiresAt <= new Date()) {
+    await expireOffer(req.app.get('io'), offer);
+  }
+  await releaseIfExpired(req.app.get('io'), offer.listing);
+
+  return { offer, role };
+};
+
+// Apply an answer to a proposal only while it is still the same open proposal,
+// so concurrent answers (accept and withdraw, two counters) can't both succeed.
+// Returns the updated offer, or null after sending a 409 response.
+const updatePendingOffer = async (res, offer, update) => {
+  const updated = await Offer.findOneAndUpdate(
+    { _id: offer._id, status: 'pending', proposedBy: offer.proposedBy, expiresAt: { $gt: new Date() } },
+    update,
+    { new: true }
+  ).populate('listing');
+
+  if (!updated) {
+    res.status(409).json({
+      success: false,
+      message: 'This offer has changed. Reload and try again'
+    });
+  }
+  return updated;
+};
+
+// Accept, decline and counter are answers to the other party's proposal
+const checkCanRespond = (res, offer, role) => {
+  if (offer.status !== 'pending') {
+    res.status(400).json({
+      success: false,
+      message: `This offer is already ${offer.status}`
+    });
+    return false;
+  }
+
+  if (offer.expiresAt && offer.expiresAt <= new Date()) {
+    res.status(400).json({
+      success: false,
+      message: 'This offer has expired'
+    });
+    return false;
+  }
+
+  if (offer.proposedBy === role) {
+    res.status(400).json({
+      success: false,
+      message: 'Waiting for the other party to respond'
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// @route   GET /api/offers
+// @desc    Get offers the current user made or received
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { role, status, page = 1, limit = 20 } = req.query;
+
+    const query = role === 'buyer'
+      ? { buyer: req.user._id }
+      : role === 'seller'
+        ? { seller: req.user._id }
+        : { $or: [{ buyer: req.user._id }, { seller: req.user._id }] };
+    if (status) query.status = String(status);
+
+    const offers = await populateOffer(Offer.find(query))
+      .sort({ updatedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const count = await Offer.countDocuments(query);
+
+    res.json({
+      success: true,
+      offers,
+      totalPages: Math.ceil(count / limit),
+      currentPage: parseInt(page),
+      total: count
+    });
+  } catch (error) {
+    console.error('Get offers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/offers/listing/:listingId
+// @desc    Get offers on one of the current user's listings
+// @access  Private (listing owner)
+router.get('/listing/:listingId', protect, async (req, res) => {
+  try {
+    const listing = await Listing.findById(req.params.listingId);
+
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found'
+      });
+    }
+
+    if (listing.seller.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    const offers = await populateOffer(Offer.find({ listing: listing._id }))
+      .sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      offers
+    });
+  } catch (error) {
+    console.error('Get listing offers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/offers/:id
+// @desc    Get single offer with its history
+// @access  Private (buyer or seller)
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const offer = await populateOffer(Offer.findById(req.params.id));
+
+    if (!offer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offer not found'
+      });
+    }
+
+    const role = offer.getRole(req.user._id);
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    res.json({
+      success: true,
+      offer,
+      role
+    });
+  } catch (error) {
+    console.error('Get offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/offers
+// @desc    Make an offer on a listing
+// @access  Private
+router.post('/', protect, emailVerifiedOnly, [
+  body('listingId').notEmpty().withMessage('Listing ID is required'),
+  body('amount').isFloat({ min: 1 }).withMessage('Offer must be at least 1 EGP')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const listing = await Listing.findById(req.body.listingId);
+    await releaseIfExpired(req.app.get('io'), listing);
+
+    if (!listing || !isOpenForOffers(listing)) {
+      return res.status(!listing ? 404 : 400).json({
+        success: false,
+        message: !listing ? 'Listing not found' : 'This listing is not accepting offers'
+      });
+    }
+
+    if (listing.seller.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot make an offer on your own listing'
+      });
+    }
+
+    // One open negotiation per buyer and listing
+    const existing = await Offer.findOne({
+      listing: listing._id,
+      buyer: req.user._id,
+      status: 'pending'
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have an open offer on this listing',
+        offerId: existing._id
+      });
+    }
+
+    const amount = Number(req.body.amount);
+    const conversation = await findOrCreateConversation(listing, req.user._id);
+
+    const offer = await Offer.create({
+      listing: listing._id,
+      buyer: req.user._id,
+      seller: listing.seller,
+      conversation: conversation._id,
+      amount,
+      proposedBy: 'buyer',
+      history: [{ by: 'buyer', amount }],
+      expiresAt: computeOfferExpiry()
+    });
+
+    await postOfferUpdate(req.app.get('io'), offer, req.user._id, {
+      title: 'New Offer',
+      content: `${req.user.name} offered ${formatAmount(amount)} for "${listing.title}" (asking ${formatAmount(listing.price)})`
+    });
+
+    res.status(201).json({
+      success: true,
+      offer
+    });
+  } catch (error) {
+    console.error('Create offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/offers/:id/counter
+// @desc    Counter the other party's proposal with a new amount
+// @access  Private (buyer or seller)
+router.post('/:id/counter', protect, [
+  body('amount').isFloat({ min: 1 }).withMessage('Offer must be at least 1 EGP')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const loaded = await loadOffer(req, res);
+    if (!loaded) return;
+    const { offer, role } = loaded;
+
+    if (!checkCanRespond(res, offer, role)) return;
+
+    if (!offer.listing || !isOpenForOffers(offer.listing)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This listing is not accepting offers'
+      });
+    }
+
+    const amount = Number(req.body.amount);
+    if (amount === offer.amount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Accept the offer instead of countering with the same amount'
+      });
+    }
+
+    const countered = await updatePendingOffer(res, offer, {
+      amount,
+      proposedBy: role,
+      expiresAt: computeOfferExpiry(),
+      $push: { history: { by: role, amount, createdAt: new Date() } }
+    });
+    if (!countered) return;
+
+    await postOfferUpdate(req.app.get('io'), countered, req.user._id, {
+      title: 'Counter-Offer',
+      content: `${req.user.name} countered with ${formatAmount(amount)} for "${countered.listing.title}"`
+    });
+
+    res.json({
+      success: true,
+      offer: countered
+    });
+  } catch (error) {
+    console.error('Counter offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/offers/:id/accept
+// @desc    Accept the other party's proposal; reserves the listing for the buyer
+// @access  Private (buyer or seller)
+router.post('/:id/accept', protect, async (req, res) => {
+  try {
+    const loaded = await loadOffer(req, res);
+    if (!loaded) return;
+    const { offer, role } = loaded;
+
+    if (!checkCanRespond(res, offer, role)) return;
+
+    if (!offer.listing || !isOpenForOffers(offer.listing)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This listing is no longer available'
+      });
+    }
+
+    // Claim the offer first, so a concurrent withdraw or decline can't also succeed
+    const accepted = await updatePendingOffer(res, offer, { status: 'accepted', respondedAt: new Date() });
+    if (!accepted) return;
+
+    const listing = await reserveListing(offer.listing._id, {
+      buyer: offer.buyer,
+      conversation: offer.conversation,
+      offer: offer._id
+    });
+    if (!listing) {
+      await Offer.updateOne(
+        { _id: offer._id, status: 'accepted' },
+        { status: 'pending', $unset: { respondedAt: 1 } }
+      );
+      return res.status(400).json({
+        success: false,
+        message: 'This listing is no longer available'
+      });
+    }
+
+    const io = req.app.get('io');
+    await postOfferUpdate(io, accepted, req.user._id, {
+      title: 'Offer Accepted',
+      content: `${req.user.name} accepted ${formatAmount(accepted.amount)} for "${listing.title}". The item is reserved for the buyer.`
+    });
+    await declineOtherOffers(io, listing, accepted);
+
+    res.json({
+      success: true,
+      offer: accepted,
+      listing
+    });
+  } catch (error) {
+    console.error('Accept offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/offers/:id/decline
+// @desc    Decline the other party's proposal (ends the negotiation)
+// @access  Private (buyer or seller)
+router.post('/:id/decline', protect, async (req, res) => {
+  try {
+    const loaded = await loadOffer(req, res);
+    if (!loaded) return;
+    const { offer, role } = loaded;
+
+    if (!checkCanRespond(res, offer, role)) return;
+
+    const declined = await updatePendingOffer(res, offer, { status: 'declined', respondedAt: new Date() });
+    if (!declined) return;
+
+    await postOfferUpdate(req.app.get('io'), declined, req.user._id, {
+      title: 'Offer Declined',
+      content: `${req.user.name} declined the offer of ${formatAmount(declined.amount)}${declined.listing ? ` for "${declined.listing.title}"` : ''}`
+    });
+
+    res.json({
+      success: true,
+      offer: declined
+    });
+  } catch (error) {
+    console.error('Decline offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/offers/:id/withdraw
+// @desc    Withdraw your own proposal before it is answered
+// @access  Private (buyer or seller)
+router.post('/:id/withdraw', protect, async (req, res) => {
+  try {
+    const loaded = await loadOffer(req, res);
+    if (!loaded) return;
+    const { offer, role } = loaded;
+
+    if (offer.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `This offer is already ${offer.status}`
+      });
+    }
+
+    if (offer.proposedBy !== role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only the party who made the current proposal can withdraw it'
+      });
+    }
+
+    const withdrawn = await updatePendingOffer(res, offer, { status: 'withdrawn', respondedAt: new Date() });
+    if (!withdrawn) return;
+
+    await postOfferUpdate(req.app.get('io'), withdrawn, req.user._id, {
+      title: 'Offer Withdrawn',
+      content: `${req.user.name} withdrew the offer of ${formatAmount(withdrawn.amount)}${withdrawn.listing ? ` for "${withdrawn.listing.title}"` : ''}`
+    });
+
+    res.json({
+      success: true,
+      offer: withdrawn
+    });
+  } catch (error) {
+    console.error('Withdraw offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,33 +1,77 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const Session = require('../models/Session');
 const Listing = require('../models/Listing');
-const { protect, adminOnly } = require('../middleware/auth');
+const SavedSearch = require('../models/SavedSearch');
+const Transaction = require('../models/Transaction');
+const { protect, requirePermission, requireAdminTwoFactor } = require('../middleware/auth');
+const { buildUserExport } = require('../utils/accountData');
+const { sendAccountDeletionScheduled } = require('../utils/emailService');
+const { logSecurityEvent } = require('../utils/securityLog');
+const { MAX_SAVED_SEARCHES, validateSearchFilters } = require('../utils/savedSearches');
+const { withTieBreaker, decodeCursor, applyCursor, parseCursorLimit, buildCursorPage } = require('../utils/pagination');
+
+// Days between a deletion request and the permanent purge
+const DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
 
 // Protected /me routes MUST come before /:id routes to avoid conflicts
 
 // @route   GET /api/users/me/listings
-// @desc    Get current user's listings
+// @desc    Get current user's listings (cursor= for cursor pagination)
 // @access  Private
 router.get('/me/listings', protect, async (req, res) => {
   try {
-    const { status, page = 1, limit = 20 } = req.query;
+    const { status, page = 1, limit = 20, cursor } = req.query;
 
     const queryObj = { seller: req.user._id };
     if (status) queryObj.status = status;
 
-    const skip = (Number(page) - 1) * Number(limit);
+    const sortOption = { createdAt: -1 };
+    let listings;
+    let pagination;
+
+    if (cursor !== undefined) {
+      const { filter, error } = decodeCursor(cursor, sortOption, Listing.schema);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
 
-    const listings = await Listing.find(queryObj)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(Number(limit));
+      const pageLimit = parseCursorLimit(limit);
+      const docs = await Listing.find(applyCursor(queryObj, filter))
+        .sort(withTieBreaker(sortOption))
+        .limit(pageLimit + 1);
 
-    const total = await Listing.countDocuments(queryObj);
+      const { items, nextCursor } = buildCursorPage(docs, pageLimit, sortOption);
+      listings = items;
+      pagination = { limit: pageLimit, nextCursor };
+    } else {
+      const skip = (Number(page) - 1) * Number(limit);
+
+      listings = await Listing.find(queryObj)
+        .sort(sortOption)
+        .skip(skip)
+        .limit(Number(limit));
+
+      const total = await Listing.countDocuments(queryObj);
+      pagination = {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / Number(limit))
+      };
+    }
 
     // Get counts for tabs
     const activeCount = await Listing.countDocuments({ seller: req.user._id, status: 'active' });
     const soldCount = await Listing.countDocuments({ seller: req.user._id, status: 'sold' });
+    const draftCount = await Listing.countDocuments({ seller: req.user._id, status: 'draft' });
+    const scheduledCount = await Listing.countDocuments({ seller: req.user._id, status: 'scheduled' });
+    const expiredCount = await Listing.countDocuments({ seller: req.user._id, status: 'expired' });
+    const reservedCount = await Listing.countDocuments({ seller: req.user._id, status: 'pending' });
 
     res.json({
       success: true,
@@ -35,14 +79,13 @@ router.get('/me/listings', protect, async (req, res) => {
       counts: {
         active: activeCount,
         sold: soldCount,
+        drafts: draftCount,
+        scheduled: scheduledCount,
+        expired: expiredCount,
+        reserved: reservedCount,
         favorites: req.user.favorites.length
       },
-      pagination: {
-        page: Number(page),
-        limit: Number(limit),
-        total,
-        pages: Math.ceil(total / Number(limit))
-      }
+      pagination
     });
   } catch (error) {
     console.error('Get my listings error:', error);
@@ -76,6 +119,332 @@ router.get('/me/favorites', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/me/transactions
+// @desc    Get current user's purchases and sales
+// @access  Private
+router.get('/me/transactions', protect, async (req, res) => {
+  try {
+    const { role, page = 1, limit = 20 } = req.query;
+
+    const queryObj = role === 'buyer'
+      ? { buyer: req.user._id }
+      : role === 'seller'
+        ? { seller: req.user._id }
+        : { $or: [{ buyer: req.user._id }, { seller: req.user._id }] };
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const transactions = await Transaction.find(queryObj)
+      .populate('listing', 'title images status')
+      .populate('buyer', 'name avatar')
+      .populate('seller', 'name avatar')
+      .sort({ soldAt: -1 })
+      .skip(skip)
+      .limit(Number(limit));
+
+    const total = await Transaction.countDocuments(queryObj);
+
+    res.json({
+      success: true,
+      transactions: transactions.map(transaction => ({
+        ...transaction.toObject(),
+        role: transaction.buyer?._id.toString() === req.user._id.toString() ? 'buyer' : 'seller'
+      })),
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / Number(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Saved search as returned to its owner
+const formatSavedSearch = (savedSearch) => ({
+  _id: savedSearch._id,
+  name: savedSearch.name,
+  filters: savedSearch.filters,
+  alerts: savedSearch.alerts,
+  newMatches: savedSearch.pendingMatches.length,
+  lastMatchAt: savedSearch.lastMatchAt,
+  createdAt: savedSearch.createdAt
+});
+
+// @route   GET /api/users/me/saved-searches
+// @desc    Get current user's saved searches
+// @access  Private
+router.get('/me/saved-searches', protect, async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      savedSearches: savedSearches.map(formatSavedSearch)
+    });
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/me/saved-searches
+// @desc    Save a search (same filters as GET /api/listings)
+// @access  Private
+router.post('/me/saved-searches', protect, async (req, res) => {
+  try {
+    const { filters, error } = validateSearchFilters(req.body.filters || req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const count = await SavedSearch.countDocuments({ user: req.user._id });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${MAX_SAVED_SEARCHES} searches`
+      });
+    }
+
+    const savedSearch = await SavedSearch.create({
+      user: req.user._id,
+      name: req.body.name,
+      filters,
+      alerts: req.body.alerts !== false
+    });
+
+    res.status(201).json({
+      success: true,
+      savedSearch: formatSavedSearch(savedSearch)
+    });
+  } catch (error) {
+    console.error('Create saved search error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/users/me/saved-searches/:id
+// @desc    Rename, change filters or turn alerts on/off
+// @access  Private
+router.put('/me/saved-searches/:id', protect, async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    if (req.body.filters) {
+      const { filters, error } = validateSearchFilters(req.body.filters);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+      savedSearch.filters = filters;
+      // Earlier matches were for the old filters
+      savedSearch.pendingMatches = [];
+    }
+
+    if (req.body.name !== undefined) savedSearch.name = req.body.name;
+    if (typeof req.body.alerts === 'boolean') savedSearch.alerts = req.body.alerts;
+
+    await savedSearch.save();
+
+    res.json({
+      success: true,
+      savedSearch: formatSavedSearch(savedSearch)
+    });
+  } catch (error) {
+    console.error('Update saved search error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)[0].message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/users/me/saved-searches/:id
+// @desc    Delete a saved search
+// @access  Private
+router.delete('/me/saved-searches/:id', protect, async (req, res) => {
+  try {
+    const result = await SavedSearch.deleteOne({ _id: req.params.id, user: req.user._id });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted'
+    });
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/users/me/export
+// @desc    Download all personal data as JSON
+// @access  Private
+router.get('/me/export', protect, async (req, res) => {
+  try {
+    const data = await buildUserExport(req.user._id);
+
+    res.setHeader('Content-Disposition', `attachment; filename="mysouqify-data-${req.user._id}.json"`);
+    res.json(data);
+  } catch (error) {
+    console.error('Export data error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/users/me
+// @desc    Request account deletion (after a grace period)
+// @access  Private
+router.delete('/me', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (user.deletion?.scheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account deletion is already scheduled',
+        scheduledFor: user.deletion.scheduledFor
+      });
+    }
+
+    // Re-confirm identity before scheduling an irreversible action
+    if (user.password) {
+      const isMatch = req.body.password && await user.comparePassword(req.body.password);
+      if (!isMatch) {
+        await logSecurityEvent(req, {
+          type: 'account_deletion_requested',
+          outcome: 'failure',
+          metadata: { reason: 'invalid_password' }
+        });
+        return res.status(400).json({
+          success: false,
+          message: 'Password is incorrect'
+        });
+      }
+    }
+
+    if (user.twoFactor?.enabled && !user.checkTwoFactorCode({ code: req.body.code })) {
+      await logSecurityEvent(req, {
+        type: 'account_deletion_requested',
+        outcome: 'failure',
+        metadata: { reason: 'invalid_2fa_code' }
+      });
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const scheduledFor = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    user.deletion = {
+      requestedAt: new Date(),
+      scheduledFor
+    };
+    await user.save();
+
+    await logSecurityEvent(req, { type: 'account_deletion_requested', metadata: { scheduledFor } });
+
+    await sendAccountDeletionScheduled(user.email, user.name, scheduledFor);
+
+    res.json({
+      success: true,
+      message: `Your account will be deleted on ${scheduledFor.toDateString()}. You can cancel until then.`,
+      scheduledFor
+    });
+  } catch (error) {
+    console.error('Request deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/users/me/deletion/cancel
+// @desc    Cancel a scheduled account deletion
+// @access  Private
+router.post('/me/deletion/cancel', protect, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!user.deletion?.scheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'No account deletion is scheduled'
+      });
+    }
+
+    user.deletion = undefined;
+    await user.save();
+
+    await logSecurityEvent(req, { type: 'account_deletion_cancelled' });
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/users/:id
 // @desc    Get user public profile
 // @access  Public
@@ -127,11 +496,15 @@ router.get('/:id/listings', async (req, res) => {
       queryObj.moderationStatus = 'approved';
     } else if (status === 'sold') {
       queryObj.status = 'sold';
+    } else {
+      // Drafts, scheduled and expired listings are private to the seller
+      queryObj.status = { $nin: ['draft', 'scheduled', 'expired'] };
     }
 
     const skip = (Number(page) - 1) * Number(limit);
 
     const listings = await Listing.find(queryObj)
+      .select('-reservation')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(Number(limit));
@@ -215,9 +588,9 @@ router.put('/:id/rate', protect, async (req, res) => {
 // Admin routes
 
 // @route   GET /api/users
-// @desc    Get all users (admin only)
-// @access  Private/Admin
-router.get('/', protect, adminOnly, async (req, res) => {
+// @desc    Get all users (staff with users.view)
+// @access  Private/Staff
+router.get('/', protect, requirePermission('users.view'), requireAdminTwoFactor, async (req, res) => {
   try {
     const { page = 1, limit = 20, search } = req.query;
 
@@ -256,9 +629,9 @@ router.get('/', protect, adminOnly, async (req, res) => {
 });
 
 // @route   PUT /api/users/:id/status
-// @desc    Toggle user active status (admin only)
-// @access  Private/Admin
-router.put('/:id/status', protect, adminOnly, async (req, res) => {
+// @desc    Toggle user active status (staff with users.manage)
+// @access  Private/Staff
+router.put('/:id/status', protect, requirePermission('users.manage'), requireAdminTwoFactor, async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
 
@@ -269,9 +642,36 @@ router.put('/:id/status', protect, adminOnly, async (req, res) => {
       });
     }
 
+    // Prevent deactivating own account
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot deactivate your own account'
+      });
+    }
+
+    // Only superadmins may act on superadmins
+    if (user.hasPermission('roles.manage') && !req.user.hasPermission('roles.manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+
     user.isActive = !user.isActive;
     await user.save();
 
+    // Deactivation signs the user out everywhere
+    if (!user.isActive) {
+      await Session.revokeAllForUser(user._id, 'deactivated');
+    }
+
+    await logSecurityEvent(req, {
+      type: user.isActive ? 'account_activated' : 'account_deactivated',
+      user: user._id,
+      actor: req.user._id
+    });
+
     res.json({
       success: true,
       user: {
@@ -1,8 +1,22 @@
 const express = require('express');
 const router = express.Router();
+const crypto = require('crypto');
 const { protect } = require('../middleware/auth');
 const { upload, handleUploadErrors, compressImages, convertToDataUrl } = require('../middleware/upload');
 const User = require('../models/User');
+const { sendSms } = require('../utils/smsService');
+const { logSecurityEvent } = require('../utils/securityLog');
+
+// Phone OTP limits
+const PHONE_CODE_TTL_MS = 10 * 60 * 1000;     // Code valid for 10 minutes
+const PHONE_RESEND_COOLDOWN_MS = 60 * 1000;   // One SMS per minute
+const PHONE_MAX_SENDS_PER_DAY = 5;
+const PHONE_MAX_ATTEMPTS = 5;                 // Wrong guesses per code
+
+const PHONE_REGEX = /^[0-9+][0-9\s-]{7,15}$/;
+
+const hashPhoneCode = (userId, code) =>
+  crypto.createHash('sha256').update(`${userId}:${code}`).digest('hex');
 
 // @route   GET /api/verification/status
 // @desc    Get current user's verification status
@@ -85,4 +99,146 @@ router.post('/submit', protect, upload.array('documents', 2), compressImages, co
   }
 });
 
+// @route   POST /api/verification/phone/send
+// @desc    Send a one-time code to confirm the phone number
+// @access  Private
+router.post('/phone/send', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const phone = (req.body.phone || user.phone || '').trim();
+
+    if (!phone || !PHONE_REGEX.test(phone)) {
+      return res.status(400).json({ success: false, message: 'Please provide a valid phone number' });
+    }
+
+    if (user.phoneVerified && user.phone === phone) {
+      return res.status(400).json({ success: false, message: 'Phone number is already verified' });
+    }
+
+    // A number can only be verified on one account
+    const taken = await User.exists({ _id: { $ne: user._id }, phone, phoneVerified: true });
+    if (taken) {
+      return res.status(409).json({ success: false, message: 'This phone number is already verified on another account' });
+    }
+
+    const now = Date.now();
+    const pending = user.phoneVerification || {};
+
+    if (pending.sentAt && now - pending.sentAt.getTime() < PHONE_RESEND_COOLDOWN_MS) {
+      return res.status(429).json({ success: false, message: 'Please wait a minute before requesting another code' });
+    }
+
+    const windowActive = pending.windowStart && now - pending.windowStart.getTime() < 24 * 60 * 60 * 1000;
+    const sendCount = windowActive ? pending.sendCount : 0;
+    if (sendCount >= PHONE_MAX_SENDS_PER_DAY) {
+      return res.status(429).json({ success: false, message: 'Too many codes requested. Please try again tomorrow.' });
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+    user.phoneVerification = {
+      codeHash: hashPhoneCode(user._id, code),
+      phone,
+      expiresAt: new Date(now + PHONE_CODE_TTL_MS),
+      attempts: 0,
+      sentAt: new Date(now),
+      sendCount: sendCount + 1,
+      windowStart: windowActive ? pending.windowStart : new Date(now)
+    };
+    await user.save();
+
+    const sent = await sendSms(phone, `Your MySouqify verification code is ${code}. It expires in 10 minutes.`);
+    if (!sent) {
+      return res.status(502).json({ success: false, message: 'Could not send SMS. Please try again later.' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification code sent',
+      expiresAt: user.phoneVerification.expiresAt
+    });
+  } catch (error) {
+    console.error('Send phone code error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @route   POST /api/verification/phone/verify
+// @desc    Confirm the phone number with the received code
+// @access  Private
+router.post('/phone/verify', protect, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code || !/^\d{6}$/.test(String(code))) {
+      return res.status(400).json({ success: false, message: 'Please enter the 6-digit code' });
+    }
+
+    const user = await User.findById(req.user._id).select('+phoneVerification.codeHash');
+    const pending = user.phoneVerification;
+
+    if (!pending || !pending.codeHash) {
+      return res.status(400).json({ success: false, message: 'Please request a verification code first' });
+    }
+
+    if (pending.expiresAt < new Date()) {
+      return res.status(400).json({ success: false, message: 'Code has expired. Please request a new one.' });
+    }
+
+    // Count the guess before checking it, atomically and only while guesses are left
+    // for this code, so concurrent guesses can't get past PHONE_MAX_ATTEMPTS
+    const counted = await User.findOneAndUpdate(
+      {
+        _id: user._id,
+        'phoneVerification.codeHash': pending.codeHash,
+        'phoneVerification.attempts': { $lt: PHONE_MAX_ATTEMPTS }
+      },
+      { $inc: { 'phoneVerification.attempts': 1 } },
+      { new: true }
+    );
+
+    if (!counted) {
+      return res.status(429).json({ success: false, message: 'Too many wrong attempts. Please request a new code.' });
+    }
+
+    const expected = Buffer.from(pending.codeHash, 'hex');
+    const actual = Buffer.from(hashPhoneCode(user._id, String(code)), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      const { attempts } = counted.phoneVerification;
+      await logSecurityEvent(req, {
+        type: 'phone_verified',
+        outcome: 'failure',
+        metadata: { phone: pending.phone, attempts }
+      });
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code',
+        attemptsLeft: PHONE_MAX_ATTEMPTS - attempts
+      });
+    }
+
+    user.phone = pending.phone;
+    user.phoneVerified = true;
+    user.phoneVerifiedAt = new Date();
+    user.phoneVerification = {
+      sendCount: pending.sendCount,
+      windowStart: pending.windowStart
+    };
+    await user.save();
+
+    await logSecurityEvent(req, { type: 'phone_verified', metadata: { phone: user.phone } });
+
+    res.json({
+      success: true,
+      message: 'Phone number verified',
+      phone: user.phone,
+      phoneVerified: true
+    });
+  } catch (error) {
+    console.error('Verify phone code error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 module.exports = router;
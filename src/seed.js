@@ -263,6 +263,7 @@ const seedDatabase = async () => {
       location: 'Cairo, Egypt',
       isAdmin: true,
       isActive: true,
+      emailVerified: true,
       rating: { average: 5.0, count: 0 },
       salesCount: 0,
       createdAt: new Date()
@@ -278,6 +279,7 @@ const seedDatabase = async () => {
         password: hashedPassword,
         isAdmin: false,
         isActive: true,
+        emailVerified: true,
         createdAt: new Date(Date.now() - Math.random() * 180 * 24 * 60 * 60 * 1000) // Random date in last 6 months
       });
       createdUsers.push(user);
@@ -5,6 +5,7 @@ const dotenv = require('dotenv');
 const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
+const jwt = require('jsonwebtoken');
 
 // Load environment variables
 dotenv.config();
@@ -12,6 +13,13 @@ dotenv.config();
 const app = express();
 const server = http.createServer(app);
 
+// Behind a proxy/load balancer (Vercel, nginx) req.ip must come from X-Forwarded-For
+// TRUST_PROXY: 'true' (one hop), a hop count, or a list of trusted addresses
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? 1 : (/^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy));
+}
+
 // Allowed origins for CORS
 const allowedOrigins = [
   'http://localhost:3000',
@@ -64,6 +72,8 @@ const messageRoutes = require('./routes/messages');
 const categoryRoutes = require('./routes/categories');
 const adminRoutes = require('./routes/admin');
 const verificationRoutes = require('./routes/verification');
+const offerRoutes = require('./routes/offers');
+const cronRoutes = require('./routes/cron');
 
 // Use routes
 app.use('/api/auth', authRoutes);
@@ -73,6 +83,8 @@ app.use('/api/messages', messageRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/verification', verificationRoutes);
+app.use('/api/offers', offerRoutes);
+app.use('/api/cron', cronRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -90,11 +102,24 @@ const connectedUsers = new Map();
 io.on('connection', (socket) => {
   console.log('[SOCKET] User connected:', socket.id);
 
-  socket.on('join', (userId) => {
+  socket.on('join', (userId, accessToken) => {
     connectedUsers.set(userId, socket.id);
     socket.userId = userId;
     console.log(`[SOCKET] User ${userId} joined | Total connections: ${connectedUsers.size}`);
 
+    // Private room for pushed notifications - only with a valid access token for this user
+    const token = accessToken || socket.handshake.auth?.token;
+    if (token) {
+      try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'market-cairo-jwt-secret');
+        if (decoded.sid && !decoded.purpose && String(decoded.id) === String(userId)) {
+          socket.join(`user:${userId}`);
+        }
+      } catch (err) {
+        console.warn(`[SOCKET] Invalid token for user ${userId}, notifications not pushed`);
+      }
+    }
+
     // Broadcast user online status to all clients
     io.emit('userOnline', { userId });
   });
@@ -147,20 +172,33 @@ if (!process.env.VERCEL) {
 
   const startServer = async () => {
     await connectDB();
+
+    // Data migrations (idempotent; serverless deploys run `npm run migrate` instead)
+    await require('./utils/migrations').runMigrations();
+
     server.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
 
     // Initialize cleanup job after DB connection
     const Listing = require('./models/Listing');
+    const { removeUploadedFile } = require('./middleware/upload');
 
     const cleanupDeletedListings = async () => {
       try {
         const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
 
-        const result = await Listing.deleteMany({
+        // Remove their image files first, then the listings
+        const expired = await Listing.find({
           isDeleted: true,
           deletedAt: { $lte: twoDaysAgo }
+        }).select('images');
+        for (const listing of expired) {
+          await Promise.all((listing.images || []).map(removeUploadedFile));
+        }
+
+        const result = await Listing.deleteMany({
+          _id: { $in: expired.map(listing => listing._id) }
         });
 
         if (result.deletedCount > 0) {
@@ -176,6 +214,112 @@ if (!process.env.VERCEL) {
 
     // Run immediately on startup
     cleanupDeletedListings();
+
+    const {
+      publishScheduledListings,
+      sendExpiryReminders,
+      expireDueListings
+    } = require('./utils/listingExpiry');
+    const { sendSavedSearchDigests } = require('./utils/savedSearches');
+
+    // Publish approved listings whose scheduled time has come
+    const publishListings = async () => {
+      try {
+        const published = await publishScheduledListings(io);
+        if (published > 0) {
+          console.log(`[SCHEDULE] Published ${published} scheduled listings`);
+        }
+      } catch (error) {
+        console.error('[SCHEDULE] Error publishing scheduled listings:', error);
+      }
+    };
+
+    // Check every minute
+    setInterval(publishListings, 60 * 1000);
+    publishListings();
+
+    // Remind sellers before their listings expire, then expire them
+    const expireListings = async () => {
+      try {
+        const reminded = await sendExpiryReminders(io);
+        const expired = await expireDueListings();
+
+        if (reminded > 0 || expired > 0) {
+          console.log(`[EXPIRY] Sent ${reminded} reminders, expired ${expired} listings`);
+        }
+      } catch (error) {
+        console.error('[EXPIRY] Error processing listing expiry:', error);
+      }
+    };
+
+    setInterval(expireListings, 60 * 60 * 1000);
+    expireListings();
+
+    // Expire offers nobody responded to in time
+    const { expireOffers } = require('./utils/offers');
+
+    const expireStaleOffers = async () => {
+      try {
+        const expired = await expireOffers(io);
+        if (expired > 0) {
+          console.log(`[OFFERS] Expired ${expired} offers`);
+        }
+      } catch (error) {
+        console.error('[OFFERS] Error expiring offers:', error);
+      }
+    };
+
+    setInterval(expireStaleOffers, 10 * 60 * 1000);
+    expireStaleOffers();
+
+    // Make listings available again when their reservation runs out
+    const { releaseExpiredReservations } = require('./utils/reservations');
+
+    const releaseReservations = async () => {
+      try {
+        const released = await releaseExpiredReservations(io);
+        if (released > 0) {
+          console.log(`[RESERVATION] Released ${released} expired reservations`);
+        }
+      } catch (error) {
+        console.error('[RESERVATION] Error releasing reservations:', error);
+      }
+    };
+
+    setInterval(releaseReservations, 10 * 60 * 1000);
+    releaseReservations();
+
+    // Email saved-search digests (each user at most once a day)
+    const sendDigests = async () => {
+      try {
+        const sent = await sendSavedSearchDigests();
+        if (sent > 0) {
+          console.log(`[SEARCH] Sent ${sent} saved search digests`);
+        }
+      } catch (error) {
+        console.error('[SEARCH] Error sending saved search digests:', error);
+      }
+    };
+
+    setInterval(sendDigests, 60 * 60 * 1000);
+    sendDigests();
+
+    // Permanently erase accounts whose deletion grace period has ended
+    const { purgeDueAccounts } = require('./utils/accountData');
+
+    const purgeDeletedAccounts = async () => {
+      try {
+        const purged = await purgeDueAccounts();
+        if (purged > 0) {
+          console.log(`[CLEANUP] Purged ${purged} deleted accounts`);
+        }
+      } catch (error) {
+        console.error('[CLEANUP] Error purging deleted accounts:', error);
+      }
+    };
+
+    setInterval(purgeDeletedAccounts, 60 * 60 * 1000);
+    purgeDeletedAccounts();
   };
 
   startServer();
@@ -0,0 +1,235 @@
+/**
+ * Personal data export and account erasure
+ */
+
+const User = require('../models/User');
+const Listing = require('../models/Listing');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const SecurityEvent = require('../models/SecurityEvent');
+const SavedSearch = require('../models/SavedSearch');
+const Offer = require('../models/Offer');
+const Transaction = require('../models/Transaction');
+const { Conversation, Message } = require('../models/Message');
+const { removeUploadedFile } = require('../middleware/upload');
+const { getPreferences } = require('./notificationPreferences');
+
+/**
+ * Collect everything stored about a user
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} - Export document (JSON serializable)
+ */
+async function buildUserExport(userId) {
+  const user = await User.findById(userId).populate('favorites', 'title price status');
+
+  const listings = await Listing.find({ seller: userId }).sort({ createdAt: -1 });
+
+  const conversations = await Conversation.find({ participants: userId })
+    .populate('participants', 'name')
+    .populate('listing', 'title')
+    .sort({ updatedAt: -1 });
+
+  const messages = await Message.find({ conversation: { $in: conversations.map(conv => conv._id) } })
+    .select('+originalContent')
+    .sort({ createdAt: 1 });
+
+  const messagesByConversation = messages.reduce((acc, message) => {
+    const key = message.conversation.toString();
+    const isOwn = message.sender.toString() === userId.toString();
+    (acc[key] = acc[key] || []).push({
+      _id: message._id,
+      sender: message.sender,
+      isOwn,
+      content: message.content,
+      // Unfiltered text is only the user's own data
+      originalContent: isOwn ? message.originalContent : undefined,
+      type: message.type,
+      read: message.read,
+      createdAt: message.createdAt
+    });
+    return acc;
+  }, {});
+
+  const sessions = await Session.find({ user: userId }).sort({ createdAt: -1 });
+
+  const savedSearches = await SavedSearch.find({ user: userId })
+    .select('name filters alerts createdAt')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const offers = await Offer.find({ $or: [{ buyer: userId }, { seller: userId }] })
+    .populate('listing', 'title')
+    .select('listing buyer seller amount status proposedBy history expiresAt createdAt')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const transactions = await Transaction.find({ $or: [{ buyer: userId }, { seller: userId }] })
+    .select('listing title buyer seller price soldAt')
+    .sort({ soldAt: -1 })
+    .lean();
+
+  const securityEvents = await SecurityEvent.find({ user: userId })
+    .select('type outcome ip userAgent metadata createdAt')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return {
+    exportedAt: new Date(),
+    profile: {
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      emailVerified: user.hasConfirmedEmail(),
+      phone: user.phone,
+      phoneVerified: user.phoneVerified,
+      avatar: user.avatar,
+      location: user.location,
+      rating: user.rating,
+      salesCount: user.salesCount,
+      linkedProviders: {
+        google: Boolean(user.googleId),
+        facebook: Boolean(user.facebookId)
+      },
+      twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+      notificationPreferences: getPreferences(user),
+      createdAt: user.createdAt,
+      lastSeen: user.lastSeen,
+      deletion: user.deletion
+    },
+    verification: {
+      status: user.verification?.status || 'unverified',
+      documentType: user.verification?.documentType,
+      documentCount: user.verification?.documentImages?.length || 0,
+      submittedAt: user.verification?.submittedAt,
+      reviewedAt: user.verification?.reviewedAt,
+      rejectionReason: user.verification?.rejectionReason
+    },
+    listings: listings.map(listing => listing.toObject()),
+    favorites: user.favorites,
+    conversations: conversations.map(conv => ({
+      _id: conv._id,
+      listing: conv.listing,
+      participants: conv.participants,
+      createdAt: conv.createdAt,
+      messages: messagesByConversation[conv._id.toString()] || []
+    })),
+    notifications: user.notifications,
+    savedSearches,
+    offers,
+    transactions,
+    sessions: sessions.map(session => ({
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      revokedAt: session.revokedAt
+    })),
+    securityEvents
+  };
+}
+
+/**
+ * Permanently erase a user's personal data.
+ * The user document is kept (anonymized) so conversations stay readable for the other party.
+ * @param {String} userId - User ID
+ */
+async function purgeUserAccount(userId) {
+  const user = await User.findById(userId);
+  if (!user) return;
+
+  // Listings and their images
+  const listings = await Listing.find({ seller: userId });
+  for (const listing of listings) {
+    await Promise.all((listing.images || []).map(removeUploadedFile));
+  }
+  const listingIds = listings.map(listing => listing._id);
+  await Listing.deleteMany({ _id: { $in: listingIds } });
+  await User.updateMany(
+    { favorites: { $in: listingIds } },
+    { $pull: { favorites: { $in: listingIds } } }
+  );
+
+  // Verification documents and avatar
+  await Promise.all((user.verification?.documentImages || []).map(removeUploadedFile));
+  if (user.avatar && user.avatar.startsWith('/uploads/')) {
+    await removeUploadedFile({ url: user.avatar, filename: user.avatar.split('/').pop() });
+  }
+
+  // Messages: the other participant keeps the conversation, but not what this user wrote
+  const attachments = await Message.find({ sender: userId, 'attachments.0': { $exists: true } })
+    .select('attachments');
+  for (const message of attachments) {
+    await Promise.all(message.attachments.map(removeUploadedFile));
+  }
+  await Message.updateMany({ sender: userId }, {
+    $set: { content: '[deleted]', isFiltered: false, attachments: [] },
+    $unset: { originalContent: 1 }
+  });
+  await Conversation.updateMany(
+    { 'lastMessage.sender': userId },
+    { $set: { 'lastMessage.content': '[deleted]' } }
+  );
+
+  // Security events stay (append-only audit trail) until SECURITY_LOG_RETENTION_DAYS expires them
+  await Session.deleteMany({ user: userId });
+  await SavedSearch.deleteMany({ user: userId });
+  // Offers stay on record for the other party; open ones are withdrawn
+  await Offer.updateMany(
+    { $or: [{ buyer: userId }, { seller: userId }], status: 'pending' },
+    { status: 'withdrawn', respondedAt: new Date() }
+  );
+  await LoginAttempt.deleteOne({ key: `account:${user.email}` });
+
+  // Anonymize in place (updateOne: the placeholder email isn't meant to pass validation)
+  await User.updateOne({ _id: userId }, {
+    $set: {
+      name: 'Deleted user',
+      email: `deleted-${userId}@deleted.invalid`,
+      avatar: '',
+      location: { area: '', city: '' },
+      favorites: [],
+      notifications: [],
+      emailVerified: false,
+      phoneVerified: false,
+      isActive: false,
+      verification: { status: 'unverified', documentImages: [] },
+      'deletion.completedAt': new Date()
+    },
+    $unset: {
+      password: 1,
+      phone: 1,
+      googleId: 1,
+      facebookId: 1,
+      twoFactor: 1,
+      phoneVerification: 1,
+      passwordResetToken: 1,
+      passwordResetExpires: 1,
+      'deletion.scheduledFor': 1
+    }
+  });
+
+  console.log(`[ACCOUNT] Purged account ${userId} (${listings.length} listings removed)`);
+}
+
+/**
+ * Purge every account whose deletion grace period has ended
+ * @returns {Promise<Number>} - Number of accounts purged
+ */
+async function purgeDueAccounts() {
+  const due = await User.find({
+    'deletion.scheduledFor': { $lte: new Date() },
+    'deletion.completedAt': null
+  }).select('_id');
+
+  for (const { _id } of due) {
+    try {
+      await purgeUserAccount(_id);
+    } catch (error) {
+      console.error(`[ACCOUNT] Failed to purge account ${_id}:`, error);
+    }
+  }
+
+  return due.length;
+}
+
+module.exports = { buildUserExport, purgeUserAccount, purgeDueAccounts };
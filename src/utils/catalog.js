@@ -0,0 +1,52 @@
+/**
+ * Marketplace catalog: listing categories, conditions and areas
+ * Single source for the Listing schema enums, the category endpoints and
+ * search suggestions. Arabic names are used to match Arabic queries.
+ */
+
+const CATEGORIES = [
+  { name: 'Furniture', nameAr: 'أثاث', icon: 'sofa', slug: 'furniture' },
+  { name: 'Electronics', nameAr: 'إلكترونيات', icon: 'laptop', slug: 'electronics' },
+  { name: 'Books', nameAr: 'كتب', icon: 'book', slug: 'books' },
+  { name: 'Kitchen', nameAr: 'مطبخ', icon: 'utensils', slug: 'kitchen' },
+  { name: 'Clothing', nameAr: 'ملابس', icon: 'shirt', slug: 'clothing' },
+  { name: 'Sports', nameAr: 'رياضة', icon: 'dumbbell', slug: 'sports' },
+  { name: 'Toys', nameAr: 'ألعاب', icon: 'gamepad', slug: 'toys' },
+  { name: 'Other', nameAr: 'أخرى', icon: 'box', slug: 'other' }
+];
+
+const CATEGORY_NAMES = CATEGORIES.map(category => category.name);
+
+const CONDITIONS = ['New', 'Like New', 'Good', 'Fair'];
+
+// Location areas in Cairo (including aliases, see AREA_ALIASES in utils/geo)
+const AREAS = [
+  { name: 'Maadi', nameAr: 'المعادي' },
+  { name: 'New Cairo', nameAr: 'القاهرة الجديدة' },
+  { name: 'Zamalek', nameAr: 'الزمالك' },
+  { name: 'Downtown', nameAr: 'وسط البلد' },
+  { name: 'Heliopolis', nameAr: 'مصر الجديدة' },
+  { name: 'Nasr City', nameAr: 'مدينة نصر' },
+  { name: 'Sheikh Zayed', nameAr: 'الشيخ زايد' },
+  { name: '6th of October', nameAr: 'السادس من أكتوبر' },
+  { name: 'Giza', nameAr: 'الجيزة' },
+  { name: 'Mohandessin', nameAr: 'المهندسين' },
+  { name: 'Dokki', nameAr: 'الدقي' },
+  { name: 'Tagamoa', nameAr: 'التجمع' },
+  { name: 'Rehab', nameAr: 'الرحاب' },
+  { name: 'Madinet Nasr', nameAr: 'مدينة نصر' },
+  { name: 'El Mokattam', nameAr: 'المقطم' },
+  { name: 'Ain Shams', nameAr: 'عين شمس' },
+  { name: 'Shubra', nameAr: 'شبرا' },
+  { name: 'Other', nameAr: 'أخرى' }
+];
+
+const AREA_NAMES = AREAS.map(area => area.name);
+
+module.exports = {
+  CATEGORIES,
+  CATEGORY_NAMES,
+  CONDITIONS,
+  AREAS,
+  AREA_NAMES
+};
@@ -0,0 +1,236 @@
+/**
+ * Category-specific listing attributes: validation and search filters
+ * Definitions come from the CategoryAttribute collection and are cached
+ * for a short time; admin edits clear the cache.
+ */
+
+const CategoryAttribute = require('../models/CategoryAttribute');
+
+const CACHE_TTL_MS = 60 * 1000;
+
+const MAX_STRING_LENGTH = 100;
+
+let cache = null;
+let cachedAt = 0;
+
+/**
+ * All attribute definitions grouped by category, ordered for display
+ * @returns {Promise<Object>} - { [category]: [definition] }
+ */
+async function getAllAttributeDefinitions() {
+  if (cache && Date.now() - cachedAt < CACHE_TTL_MS) return cache;
+
+  const definitions = await CategoryAttribute.find()
+    .sort({ category: 1, order: 1, key: 1 })
+    .lean();
+
+  cache = definitions.reduce((acc, definition) => {
+    (acc[definition.category] = acc[definition.category] || []).push(definition);
+    return acc;
+  }, {});
+  cachedAt = Date.now();
+  return cache;
+}
+
+/**
+ * Attribute definitions of one category
+ */
+async function getAttributeDefinitions(category) {
+  const all = await getAllAttributeDefinitions();
+  return all[category] || [];
+}
+
+/**
+ * Forget cached definitions (after an admin edit)
+ */
+function clearAttributeCache() {
+  cache = null;
+}
+
+// Coerce one value to its definition's type. Returns { value } or { error }
+function coerceValue(definition, raw) {
+  const { label } = definition;
+
+  switch (definition.type) {
+    case 'number': {
+      const value = Number(raw);
+      if (raw === '' || raw === null || typeof raw === 'boolean' || !Number.isFinite(value)) {
+        return { error: `${label} must be a number` };
+      }
+      if (definition.min != null && value < definition.min) {
+        return { error: `${label} must be at least ${definition.min}` };
+      }
+      if (definition.max != null && value > definition.max) {
+        return { error: `${label} cannot exceed ${definition.max}` };
+      }
+      return { value };
+    }
+    case 'boolean':
+      if (raw === true || raw === 'true') return { value: true };
+      if (raw === false || raw === 'false') return { value: false };
+      return { error: `${label} must be true or false` };
+    case 'enum': {
+      const options = definition.options || [];
+      if (!options.includes(raw)) {
+        return { error: `${label} must be one of: ${options.join(', ')}` };
+      }
+      return { value: raw };
+    }
+    default: {
+      if (typeof raw !== 'string' && typeof raw !== 'number') {
+        return { error: `${label} must be text` };
+      }
+      const value = String(raw).trim();
+      if (value.length > MAX_STRING_LENGTH) {
+        return { error: `${label} cannot exceed ${MAX_STRING_LENGTH} characters` };
+      }
+      return { value };
+    }
+  }
+}
+
+/**
+ * Parse an attributes object from the request body (JSON string for multipart forms)
+ * @returns {Object} - { input } or { error }
+ */
+function parseAttributesInput(raw) {
+  if (raw === undefined || raw === null || raw === '') return { input: {} };
+
+  let input = raw;
+  if (typeof raw === 'string') {
+    try {
+      input = JSON.parse(raw);
+    } catch (error) {
+      return { error: 'Invalid attributes' };
+    }
+  }
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Invalid attributes' };
+  }
+  return { input };
+}
+
+/**
+ * Validate listing attributes against the category's definitions
+ * @param {String} category - Listing category
+ * @param {Object} input - { [key]: value } (a Map is accepted too)
+ * @param {Object} options - { partial: skip required checks (drafts), dropUnknown: ignore undefined keys }
+ * @returns {Promise<Object>} - { attributes } or { errors: [{ field, message }] }
+ */
+async function validateAttributes(category, input = {}, { partial = false, dropUnknown = false } = {}) {
+  const values = input instanceof Map ? Object.fromEntries(input) : input;
+  const definitions = await getAttributeDefinitions(category);
+  const byKey = new Map(definitions.map(definition => [definition.key, definition]));
+
+  const attributes = {};
+  const errors = [];
+
+  for (const [key, raw] of Object.entries(values)) {
+    const definition = byKey.get(key);
+    if (!definition) {
+      if (!dropUnknown) {
+        errors.push({ field: `attributes.${key}`, message: `Unknown attribute for ${category || 'this category'}` });
+      }
+      continue;
+    }
+
+    // Empty means "not set"
+    if (raw === undefined || raw === null || raw === '') continue;
+
+    const { value, error } = coerceValue(definition, raw);
+    if (error) {
+      errors.push({ field: `attributes.${key}`, message: error });
+    } else {
+      attributes[key] = value;
+    }
+  }
+
+  if (!partial) {
+    for (const definition of definitions) {
+      if (definition.required && attributes[definition.key] === undefined) {
+        errors.push({ field: `attributes.${definition.key}`, message: `${definition.label} is required` });
+      }
+    }
+  }
+
+  return errors.length > 0 ? { errors } : { attributes };
+}
+
+/**
+ * Build query conditions from attrs[...] search parameters
+ *   attrs[brand]=Apple            text (case-insensitive exact match)
+ *   attrs[size]=M,L               enum (any of)
+ *   attrs[storage]=256            number (exact)
+ *   attrs[storage][min]=128       number range (min and/or max)
+ *   attrs[warranty]=true          boolean
+ * @param {String} category - Category being searched (attributes are per category)
+ * @param {Object} attrs - Parsed attrs query object
+ * @returns {Promise<Object>} - { conditions } or { error }
+ */
+async function buildAttributeFilters(category, attrs) {
+  if (!attrs) return { conditions: {} };
+  if (typeof attrs !== 'object' || Array.isArray(attrs)) {
+    return { error: 'Invalid attribute filters' };
+  }
+  if (!category) {
+    return { error: 'Choose a category to filter by attributes' };
+  }
+
+  const definitions = await getAttributeDefinitions(String(category));
+  const byKey = new Map(definitions.filter(definition => definition.filterable).map(definition => [definition.key, definition]));
+  const conditions = {};
+
+  for (const [key, raw] of Object.entries(attrs)) {
+    const definition = byKey.get(key);
+    if (!definition) {
+      return { error: `Unknown filter attribute: ${key}` };
+    }
+    const path = `attributes.${key}`;
+
+    if (definition.type === 'number' && raw && typeof raw === 'object') {
+      conditions[path] = {};
+      for (const [bound, operator] of [['min', '$gte'], ['max', '$lte']]) {
+        if (raw[bound] === undefined || raw[bound] === '') continue;
+        const value = Number(raw[bound]);
+        if (!Number.isFinite(value)) {
+          return { error: `${definition.label} ${bound} must be a number` };
+        }
+        conditions[path][operator] = value;
+      }
+      if (Object.keys(conditions[path]).length === 0) delete conditions[path];
+      continue;
+    }
+
+    if (typeof raw !== 'string') {
+      return { error: `Invalid filter for ${definition.label}` };
+    }
+
+    if (definition.type === 'enum') {
+      const options = definition.options || [];
+      const selected = raw.split(',').map(value => value.trim()).filter(Boolean);
+      const invalid = selected.find(value => !options.includes(value));
+      if (invalid) {
+        return { error: `${definition.label} must be one of: ${options.join(', ')}` };
+      }
+      conditions[path] = { $in: selected };
+    } else if (definition.type === 'string') {
+      const escaped = raw.trim().slice(0, MAX_STRING_LENGTH).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      conditions[path] = { $regex: `^${escaped}$`, $options: 'i' };
+    } else {
+      const { value, error } = coerceValue({ ...definition, min: null, max: null }, raw);
+      if (error) return { error };
+      conditions[path] = value;
+    }
+  }
+
+  return { conditions };
+}
+
+module.exports = {
+  getAllAttributeDefinitions,
+  getAttributeDefinitions,
+  clearAttributeCache,
+  parseAttributesInput,
+  validateAttributes,
+  buildAttributeFilters
+};
@@ -0,0 +1,77 @@
+/**
+ * Buyer/seller conversations shared by offers and reservations
+ */
+
+const { Conversation, Message } = require('../models/Message');
+
+/**
+ * Conversation between a buyer and the seller about a listing (created if needed)
+ */
+async function findOrCreateConversation(listing, buyerId) {
+  const sellerId = listing.seller._id || listing.seller;
+
+  const conversation = await Conversation.findOne({
+    participants: { $all: [buyerId, sellerId] },
+    listing: listing._id
+  });
+  if (conversation) return conversation;
+
+  return Conversation.create({
+    participants: [buyerId, sellerId],
+    listing: listing._id,
+    unreadCount: new Map()
+  });
+}
+
+/**
+ * Post a 'system' message reporting an action into a conversation
+ * Counts as unread for the other participant and is pushed to both.
+ * @param {Object} io - socket.io server
+ * @param {String|Object} conversationId - Conversation ID
+ * @param {String} actorId - User whose action the message reports
+ * @param {String} content - Message text
+ * @param {Object} extra - Extra message fields (e.g. { offer })
+ * @returns {Promise<Object|null>} - { conversation, message, recipientId }, or null if the conversation is gone
+ */
+async function postSystemMessage(io, conversationId, actorId, content, extra = {}) {
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation) return null;
+
+  const message = await Message.create({
+    ...extra,
+    conversation: conversation._id,
+    sender: actorId,
+    content,
+    type: 'system'
+  });
+
+  const recipientId = conversation.participants.find(
+    p => p.toString() !== actorId.toString()
+  );
+
+  conversation.lastMessage = {
+    content,
+    sender: actorId,
+    createdAt: message.createdAt
+  };
+  if (recipientId) {
+    const currentUnread = conversation.unreadCount.get(recipientId.toString()) || 0;
+    conversation.unreadCount.set(recipientId.toString(), currentUnread + 1);
+  }
+  // A new system message brings an archived conversation back
+  conversation.isActive = true;
+  await conversation.save();
+
+  if (io) {
+    for (const participant of conversation.participants) {
+      io.to(`user:${participant}`).emit('newMessage', {
+        conversation: conversation._id,
+        message
+      });
+    }
+  }
+
+  return { conversation, message, recipientId };
+}
+
+module.exports = { findOrCreateConversation, postSystemMessage };
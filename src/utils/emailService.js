@@ -1,4 +1,5 @@
 const nodemailer = require('nodemailer');
+const { isChannelEnabled, createUnsubscribeToken } = require('./notificationPreferences');
 
 const transporter = nodemailer.createTransport({
   host: process.env.SMTP_HOST || 'smtp.gmail.com',
@@ -10,13 +11,53 @@ const transporter = nodemailer.createTransport({
   }
 });
 
-const sendVerificationApproved = async (email, name) => {
+// Escape user-supplied text (names, titles, messages) for email HTML
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Send an email in a notification category the user can opt out of.
+// Adds the unsubscribe footer and one-click List-Unsubscribe headers.
+// Returns false when the user has turned off email for the category.
+const sendCategoryEmail = async (user, category, { subject, html }) => {
+  if (!isChannelEnabled(user, category, 'email')) {
+    console.log(`[EMAIL] Skipped ${category} email to ${user.email} (unsubscribed)`);
+    return false;
+  }
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  const token = encodeURIComponent(createUnsubscribeToken(user._id, category));
+
+  await transporter.sendMail({
+    from: `"MySouqify" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`,
+    to: user.email,
+    subject,
+    headers: {
+      'List-Unsubscribe': `<${apiUrl}/api/auth/unsubscribe?token=${token}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    },
+    html: `${html}
+      <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;padding:0 20px 20px;font-size:12px;color:#9ca3af;">
+        <p>You're receiving this email because of your MySouqify notification settings.
+          <a href="${frontendUrl}/unsubscribe?token=${token}" style="color:#9ca3af;">Unsubscribe</a> or
+          <a href="${frontendUrl}/settings/notifications" style="color:#9ca3af;">manage preferences</a>.</p>
+      </div>
+    `
+  });
+
+  return true;
+};
+
+const sendVerificationApproved = async (user) => {
   const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const name = escapeHtml(user.name);
 
   try {
-    await transporter.sendMail({
-      from: `"MySouqify" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`,
-      to: email,
+    const sent = await sendCategoryEmail(user, 'verification', {
       subject: 'Identity Verification Approved ✓',
       html: `
         <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;padding:20px;">
@@ -27,26 +68,25 @@ const sendVerificationApproved = async (email, name) => {
         </div>
       `
     });
-    console.log('[EMAIL] Verification approved email sent to:', email);
+    if (sent) console.log('[EMAIL] Verification approved email sent to:', user.email);
   } catch (error) {
     console.error('[EMAIL] Failed to send approval email:', error.message);
   }
 };
 
-const sendVerificationRejected = async (email, name, reason) => {
+const sendVerificationRejected = async (user, reason) => {
   const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const name = escapeHtml(user.name);
 
   try {
-    await transporter.sendMail({
-      from: `"MySouqify" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`,
-      to: email,
+    const sent = await sendCategoryEmail(user, 'verification', {
       subject: 'Identity Verification - Action Required',
       html: `
         <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;padding:20px;">
           <h2 style="color:#dc2626;">Hello ${name},</h2>
           <p>Unfortunately, your identity verification could not be approved.</p>
           <div style="background:#fef2f2;border:1px solid #fecaca;border-radius:8px;padding:16px;margin:16px 0;">
-            <strong>Reason:</strong> ${reason}
+            <strong>Reason:</strong> ${escapeHtml(reason)}
           </div>
           <p>You can submit new documents for verification:</p>
           <a href="${frontendUrl}/verify" style="display:inline-block;padding:12px 24px;background:#E00000;color:#fff;text-decoration:none;border-radius:8px;margin-top:8px;">Submit New Documents</a>
@@ -54,59 +94,295 @@ const sendVerificationRejected = async (email, name, reason) => {
         </div>
       `
     });
-    console.log('[EMAIL] Verification rejected email sent to:', email);
+    if (sent) console.log('[EMAIL] Verification rejected email sent to:', user.email);
   } catch (error) {
     console.error('[EMAIL] Failed to send rejection email:', error.message);
   }
 };
 
-const sendListingApproved = async (email, name, listingTitle) => {
+const sendListingApproved = async (user, listingTitle) => {
   const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const name = escapeHtml(user.name);
 
   try {
-    await transporter.sendMail({
-      from: `"MySouqify" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`,
-      to: email,
+    const sent = await sendCategoryEmail(user, 'listing_moderation', {
       subject: `Your listing "${listingTitle}" is now live!`,
       html: `
         <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;padding:20px;">
           <h2 style="color:#16a34a;">Great news ${name}!</h2>
-          <p>Your listing <strong>"${listingTitle}"</strong> has been approved and is now visible to buyers.</p>
+          <p>Your listing <strong>"${escapeHtml(listingTitle)}"</strong> has been approved and is now visible to buyers.</p>
           <a href="${frontendUrl}/dashboard" style="display:inline-block;padding:12px 24px;background:#E00000;color:#fff;text-decoration:none;border-radius:8px;margin-top:16px;">View Your Listings</a>
           <p style="margin-top:20px;color:#666;">Good luck with your sale!</p>
         </div>
       `
     });
-    console.log('[EMAIL] Listing approved email sent to:', email);
+    if (sent) console.log('[EMAIL] Listing approved email sent to:', user.email);
   } catch (error) {
     console.error('[EMAIL] Failed to send listing approval email:', error.message);
   }
 };
 
-const sendListingRejected = async (email, name, listingTitle, reason) => {
+const sendListingRejected = async (user, listingTitle, reason) => {
   const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const name = escapeHtml(user.name);
 
   try {
-    await transporter.sendMail({
-      from: `"MySouqify" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`,
-      to: email,
+    const sent = await sendCategoryEmail(user, 'listing_moderation', {
       subject: `Listing "${listingTitle}" - Action Required`,
       html: `
         <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;padding:20px;">
           <h2 style="color:#dc2626;">Hello ${name},</h2>
-          <p>Your listing <strong>"${listingTitle}"</strong> could not be approved.</p>
+          <p>Your listing <strong>"${escapeHtml(listingTitle)}"</strong> could not be approved.</p>
           <div style="background:#fef2f2;border:1px solid #fecaca;border-radius:8px;padding:16px;margin:16px 0;">
-            <strong>Reason:</strong> ${reason || 'Policy violation'}
+            <strong>Reason:</strong> ${escapeHtml(reason || 'Policy violation')}
           </div>
           <p>You can edit and resubmit your listing:</p>
           <a href="${frontendUrl}/dashboard" style="display:inline-block;padding:12px 24px;background:#E00000;color:#fff;text-decoration:none;border-radius:8px;margin-top:8px;">Go to Dashboard</a>
         </div>
       `
     });
-    console.log('[EMAIL] Listing rejected email sent to:', email);
+    if (sent) console.log('[EMAIL] Listing rejected email sent to:', user.email);
   } catch (error) {
     console.error('[EMAIL] Failed to send listing rejection email:', error.message);
   }
 };
 
-module.exports = { sendVerificationApproved, sendVerificationRejected, sendListingApproved, sendListingRejected };
+const sendListingExpiring = async (user, listing, renewToken) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const renewUrl = `${frontendUrl}/listings/renew?token=${encodeURIComponent(renewToken)}`;
+
+  try {
+    const sent = await sendCategoryEmail(user, 'listing_expiry', {
+      subject: `Your listing "${listing.title}" expires soon`,
+      html: `
+        <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;padding:20px;">
+          <h2 style="color:#111827;">Hello ${escapeHtml(user.name)},</h2>
+          <p>Your listing <strong>"${escapeHtml(listing.title)}"</strong> will expire on:</p>
+          <div style="background:#f3f4f6;border-radius:8px;padding:16px;margin:16px 0;">
+            <strong>${listing.expiresAt.toUTCString()}</strong>
+          </div>
+          <p>Still available? Renew it with one click to keep it visible to buyers.</p>
+          <a href="${renewUrl}" style="display:inline-block;padding:12px 24px;background:#E00000;color:#fff;text-decoration:none;border-radius:8px;margin-top:8px;">Renew Listing</a>
+          <p style="margin-top:20px;color:#666;">Already sold it? Mark it as sold from your <a href="${frontendUrl}/dashboard">dashboard</a>.</p>
+        </div>
+      `
+    });
+    if (sent) console.log('[EMAIL] Listing expiry reminder sent to:', user.email);
+  } catch (error) {
+    console.error('[EMAIL] Failed to send listing expiry reminder:', error.message);
+  }
+};
+
+const sendPriceDrop = async (user, listing, previousPrice) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  try {
+    const sent = await sendCategoryEmail(user, 'price_drops', {
+      subject: `Price drop: "${listing.title}"`,
+      html: `
+        <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;padding:20px;">
+          <h2 style="color:#111827;">Hello ${escapeHtml(user.name)},</h2>
+          <p>A listing in your favorites just got cheaper:</p>
+          <div style="background:#f0fdf4;border:1px solid #bbf7d0;border-radius:8px;padding:16px;margin:16px 0;">
+            <strong>${escapeHtml(listing.title)}</strong><br>
+            <span style="color:#666;text-decoration:line-through;">EGP ${previousPrice.toLocaleString()}</span>
+            <strong style="color:#16a34a;margin-left:8px;">EGP ${listing.price.toLocaleString()}</strong>
+          </div>
+          <a href="${frontendUrl}/listings/${listing._id}" style="display:inline-block;padding:12px 24px;background:#E00000;color:#fff;text-decoration:none;border-radius:8px;margin-top:8px;">View Listing</a>
+        </div>
+      `
+    });
+    if (sent) console.log('[EMAIL] Price drop email sent to:', user.email);
+  } catch (error) {
+    console.error('[EMAIL] Failed to send price drop email:', error.message);
+  }
+};
+
+const sendSavedSearchDigest = async (user, sections) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const total = sections.reduce((sum, section) => sum + section.listings.length, 0);
+
+  const sectionsHtml = sections.map(section => `
+    <h3 style="color:#111827;margin:24px 0 8px;">${escapeHtml(section.name || 'Your saved search')}</h3>
+    ${section.listings.map(listing => `
+      <a href="${frontendUrl}/listings/${listing._id}" style="display:block;padding:12px;border:1px solid #e5e7eb;border-radius:8px;margin-bottom:8px;color:#111827;text-decoration:none;">
+        <strong>${escapeHtml(listing.title)}</strong><br>
+        <span style="color:#E00000;">EGP ${listing.price.toLocaleString()}</span>
+        <span style="color:#666;"> &middot; ${escapeHtml(listing.location?.area)}</span>
+      </a>
+    `).join('')}
+  `).join('');
+
+  try {
+    const sent = await sendCategoryEmail(user, 'saved_searches', {
+      subject: `${total} new ${total === 1 ? 'listing matches' : 'listings match'} your saved searches`,
+      html: `
+        <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;padding:20px;">
+          <h2 style="color:#111827;">Hello ${escapeHtml(user.name)},</h2>
+          <p>Here's what's new for your saved searches:</p>
+          ${sectionsHtml}
+          <a href="${frontendUrl}/saved-searches" style="display:inline-block;padding:12px 24px;background:#E00000;color:#fff;text-decoration:none;border-radius:8px;margin-top:16px;">Manage Saved Searches</a>
+        </div>
+      `
+    });
+    if (sent) console.log('[EMAIL] Saved search digest sent to:', user.email);
+  } catch (error) {
+    console.error('[EMAIL] Failed to send saved search digest:', error.message);
+  }
+};
+
+const sendNewMessage = async (user, senderName, conversationId) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  try {
+    const sent = await sendCategoryEmail(user, 'messages', {
+      subject: `New message from ${senderName}`,
+      html: `
+        <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;padding:20px;">
+          <h2 style="color:#111827;">Hello ${escapeHtml(user.name)},</h2>
+          <p><strong>${escapeHtml(senderName)}</strong> sent you a message on MySouqify.</p>
+          <a href="${frontendUrl}/messages/${conversationId}" style="display:inline-block;padding:12px 24px;background:#E00000;color:#fff;text-decoration:none;border-radius:8px;margin-top:16px;">Read Message</a>
+        </div>
+      `
+    });
+    if (sent) console.log('[EMAIL] New message email sent to:', user.email);
+  } catch (error) {
+    console.error('[EMAIL] Failed to send new message email:', error.message);
+  }
+};
+
+const sendOfferUpdate = async (user, { subject, text }, conversationId) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  try {
+    const sent = await sendCategoryEmail(user, 'offers', {
+      subject,
+      html: `
+        <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;padding:20px;">
+          <h2 style="color:#111827;">Hello ${escapeHtml(user.name)},</h2>
+          <p>${escapeHtml(text)}</p>
+          <a href="${frontendUrl}/messages/${conversationId}" style="display:inline-block;padding:12px 24px;background:#E00000;color:#fff;text-decoration:none;border-radius:8px;margin-top:16px;">Open Conversation</a>
+        </div>
+      `
+    });
+    if (sent) console.log('[EMAIL] Offer update email sent to:', user.email);
+  } catch (error) {
+    console.error('[EMAIL] Failed to send offer update email:', error.message);
+  }
+};
+
+const sendEmailVerification = async (email, name, token) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const verifyUrl = `${frontendUrl}/verify-email?token=${encodeURIComponent(token)}`;
+
+  try {
+    await transporter.sendMail({
+      from: `"MySouqify" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`,
+      to: email,
+      subject: 'Confirm your email address',
+      html: `
+        <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;padding:20px;">
+          <h2 style="color:#111827;">Welcome to MySouqify, ${escapeHtml(name)}!</h2>
+          <p>Please confirm that this is your email address so you can post listings and message sellers.</p>
+          <a href="${verifyUrl}" style="display:inline-block;padding:12px 24px;background:#E00000;color:#fff;text-decoration:none;border-radius:8px;margin-top:16px;">Confirm Email</a>
+          <p style="margin-top:20px;color:#666;">This link expires after a while for your security. If you didn't create an account, you can ignore this email.</p>
+        </div>
+      `
+    });
+    console.log('[EMAIL] Email verification sent to:', email);
+  } catch (error) {
+    console.error('[EMAIL] Failed to send email verification:', error.message);
+  }
+};
+
+const sendPasswordReset = async (email, name, token) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const resetUrl = `${frontendUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+  try {
+    await transporter.sendMail({
+      from: `"MySouqify" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`,
+      to: email,
+      subject: 'Reset your MySouqify password',
+      html: `
+        <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;padding:20px;">
+          <h2 style="color:#111827;">Hello ${escapeHtml(name)},</h2>
+          <p>We received a request to reset your password. Click the button below to choose a new one.</p>
+          <a href="${resetUrl}" style="display:inline-block;padding:12px 24px;background:#E00000;color:#fff;text-decoration:none;border-radius:8px;margin-top:16px;">Reset Password</a>
+          <p style="margin-top:20px;color:#666;">This link expires in 1 hour and can only be used once. If you didn't request a reset, you can safely ignore this email.</p>
+        </div>
+      `
+    });
+    console.log('[EMAIL] Password reset email sent to:', email);
+  } catch (error) {
+    console.error('[EMAIL] Failed to send password reset email:', error.message);
+  }
+};
+
+const sendAccountLocked = async (email, name, lockedUntil) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  try {
+    await transporter.sendMail({
+      from: `"MySouqify" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`,
+      to: email,
+      subject: 'Your account has been temporarily locked',
+      html: `
+        <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;padding:20px;">
+          <h2 style="color:#dc2626;">Hello ${escapeHtml(name)},</h2>
+          <p>We noticed several failed login attempts on your account, so we've locked it temporarily to keep it safe.</p>
+          <div style="background:#fef2f2;border:1px solid #fecaca;border-radius:8px;padding:16px;margin:16px 0;">
+            <strong>Locked until:</strong> ${lockedUntil.toUTCString()}
+          </div>
+          <p>If this wasn't you, we recommend resetting your password:</p>
+          <a href="${frontendUrl}/forgot-password" style="display:inline-block;padding:12px 24px;background:#E00000;color:#fff;text-decoration:none;border-radius:8px;margin-top:8px;">Reset Password</a>
+        </div>
+      `
+    });
+    console.log('[EMAIL] Account locked email sent to:', email);
+  } catch (error) {
+    console.error('[EMAIL] Failed to send account locked email:', error.message);
+  }
+};
+
+const sendAccountDeletionScheduled = async (email, name, scheduledFor) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  try {
+    await transporter.sendMail({
+      from: `"MySouqify" <${process.env.SMTP_FROM || process.env.SMTP_USER}>`,
+      to: email,
+      subject: 'Your MySouqify account is scheduled for deletion',
+      html: `
+        <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;padding:20px;">
+          <h2 style="color:#111827;">Hello ${escapeHtml(name)},</h2>
+          <p>We received your request to delete your account. Your listings, the messages you sent and your personal data will be permanently removed on:</p>
+          <div style="background:#f3f4f6;border-radius:8px;padding:16px;margin:16px 0;">
+            <strong>${scheduledFor.toUTCString()}</strong>
+          </div>
+          <p>Changed your mind? Log in before then and cancel the deletion from your account settings.</p>
+          <a href="${frontendUrl}/settings/account" style="display:inline-block;padding:12px 24px;background:#E00000;color:#fff;text-decoration:none;border-radius:8px;margin-top:8px;">Keep My Account</a>
+        </div>
+      `
+    });
+    console.log('[EMAIL] Account deletion email sent to:', email);
+  } catch (error) {
+    console.error('[EMAIL] Failed to send account deletion email:', error.message);
+  }
+};
+
+module.exports = {
+  sendVerificationApproved,
+  sendVerificationRejected,
+  sendListingApproved,
+  sendListingRejected,
+  sendListingExpiring,
+  sendPriceDrop,
+  sendSavedSearchDigest,
+  sendNewMessage,
+  sendOfferUpdate,
+  sendEmailVerification,
+  sendPasswordReset,
+  sendAccountLocked,
+  sendAccountDeletionScheduled
+};
@@ -0,0 +1,185 @@
+/**
+ * Listing geography: area centroids and aliases, coordinate parsing, radius search
+ * Exact pins are stored but never searched on or returned: radius search,
+ * distance sorting and responses all use coordinates rounded to
+ * PUBLIC_COORDINATE_DECIMALS (about 1 km).
+ */
+
+const EARTH_RADIUS_KM = 6378.1;
+
+// 2 decimals = roughly 1.1 km north-south in Cairo
+const PUBLIC_COORDINATE_DECIMALS = 2;
+
+const DEFAULT_RADIUS_KM = 5;
+// Smaller circles would be finer than the rounded positions they search
+const MIN_RADIUS_KM = 1;
+const MAX_RADIUS_KM = 50;
+
+// Approximate centre of each area as [lng, lat] (GeoJSON order)
+const AREA_CENTROIDS = {
+  'Maadi': [31.2579, 29.9602],
+  'New Cairo': [31.4700, 30.0300],
+  'Zamalek': [31.2194, 30.0609],
+  'Downtown': [31.2422, 30.0459],
+  'Heliopolis': [31.3260, 30.0911],
+  'Nasr City': [31.3400, 30.0561],
+  'Sheikh Zayed': [30.9800, 30.0444],
+  '6th of October': [30.9288, 29.9381],
+  'Giza': [31.2089, 30.0131],
+  'Mohandessin': [31.2001, 30.0561],
+  'Dokki': [31.2118, 30.0384],
+  'Rehab': [31.4900, 30.0600],
+  'El Mokattam': [31.3050, 30.0190],
+  'Ain Shams': [31.3280, 30.1310],
+  'Shubra': [31.2450, 30.0920],
+  'Other': [31.2357, 30.0444] // Central Cairo
+};
+
+// Names people use for the same area (alias -> area)
+const AREA_ALIASES = {
+  'Tagamoa': 'New Cairo',
+  'Madinet Nasr': 'Nasr City'
+};
+
+// Rough bounding box of Egypt for seller pins
+const EGYPT_BOUNDS = { minLat: 22, maxLat: 31.7, minLng: 24.7, maxLng: 36.9 };
+
+/**
+ * Area an alias stands for ('Tagamoa' -> 'New Cairo')
+ */
+function canonicalArea(area) {
+  return AREA_ALIASES[area] || area;
+}
+
+/**
+ * Every name for the same area, for filtering ('New Cairo' -> ['New Cairo', 'Tagamoa'])
+ */
+function getEquivalentAreas(area) {
+  const canonical = canonicalArea(area);
+  return [canonical, ...Object.keys(AREA_ALIASES).filter(alias => AREA_ALIASES[alias] === canonical)];
+}
+
+/**
+ * Centroid of an area as [lng, lat], or null for an unknown area
+ */
+function getAreaCentroid(area) {
+  return AREA_CENTROIDS[canonicalArea(area)] || null;
+}
+
+/**
+ * Parse a latitude/longitude pair
+ * @returns {Object} - { lat, lng } or { error }
+ */
+function parseCoordinates(lat, lng) {
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+
+  if (lat === '' || lng === '' || lat == null || lng == null ||
+    !Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+    Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return { error: 'Invalid coordinates' };
+  }
+
+  return { lat: latitude, lng: longitude };
+}
+
+/**
+ * Parse a listing location from the request body
+ * Accepts { area, city, lat, lng }; lat/lng is the seller's optional exact pin.
+ * @param {Object|String} input - Location object (or JSON string from multipart forms)
+ * @returns {Object} - { location } or { error }
+ */
+function parseLocationInput(input) {
+  let parsed = input;
+  if (typeof input === 'string') {
+    try {
+      parsed = JSON.parse(input);
+    } catch (error) {
+      return { error: 'Invalid location' };
+    }
+  }
+  if (!parsed || typeof parsed !== 'object') {
+    return { error: 'Invalid location' };
+  }
+
+  const { lat, lng, point, pinned, ...location } = parsed;
+
+  if (lat === undefined && lng === undefined) {
+    // No pin: the listing is placed at its area's centroid
+    return { location: { ...location, pinned: false } };
+  }
+
+  const coordinates = parseCoordinates(lat, lng);
+  if (coordinates.error) return coordinates;
+
+  if (coordinates.lat < EGYPT_BOUNDS.minLat || coordinates.lat > EGYPT_BOUNDS.maxLat ||
+    coordinates.lng < EGYPT_BOUNDS.minLng || coordinates.lng > EGYPT_BOUNDS.maxLng) {
+    return { error: 'Location must be in Egypt' };
+  }
+
+  return {
+    location: {
+      ...location,
+      pinned: true,
+      point: { type: 'Point', coordinates: [coordinates.lng, coordinates.lat] }
+    }
+  };
+}
+
+/**
+ * Parse the lat/lng/radius search parameters
+ * @returns {Object} - {} when absent, { near: { lat, lng, radiusKm } } or { error }
+ */
+function parseNearFilter({ lat, lng, radius }) {
+  if (lat === undefined && lng === undefined) {
+    return radius !== undefined ? { error: 'radius needs lat and lng' } : {};
+  }
+
+  const coordinates = parseCoordinates(lat, lng);
+  if (coordinates.error) return coordinates;
+
+  const radiusKm = radius === undefined || radius === '' ? DEFAULT_RADIUS_KM : Number(radius);
+  if (!Number.isFinite(radiusKm) || radiusKm < MIN_RADIUS_KM || radiusKm > MAX_RADIUS_KM) {
+    return { error: `radius must be between ${MIN_RADIUS_KM} and ${MAX_RADIUS_KM} km` };
+  }
+
+  return { near: { ...coordinates, radiusKm } };
+}
+
+/**
+ * Coordinates safe to show publicly ([lng, lat], rounded)
+ */
+function toPublicCoordinates(coordinates) {
+  const factor = 10 ** PUBLIC_COORDINATE_DECIMALS;
+  return coordinates.map(value => Math.round(value * factor) / factor);
+}
+
+/**
+ * Great-circle distance in km between two [lng, lat] points
+ */
+function distanceKm([lng1, lat1], [lng2, lat2]) {
+  const toRad = degrees => degrees * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  PUBLIC_COORDINATE_DECIMALS,
+  DEFAULT_RADIUS_KM,
+  MIN_RADIUS_KM,
+  MAX_RADIUS_KM,
+  AREA_CENTROIDS,
+  AREA_ALIASES,
+  canonicalArea,
+  getEquivalentAreas,
+  getAreaCentroid,
+  parseCoordinates,
+  parseLocationInput,
+  parseNearFilter,
+  toPublicCoordinates,
+  distanceKm
+};
@@ -0,0 +1,240 @@
+/**
+ * Listing expiry and renewal
+ * Live listings expire after a number of days that depends on their category.
+ * Sellers are reminded shortly before, with a one-click renew link.
+ *
+ * LISTING_EXPIRY_DAYS_BY_CATEGORY    - JSON overrides, e.g. {"Electronics":21,"Furniture":45}
+ * LISTING_EXPIRY_DAYS                - lifetime for every other category (built-in per-category defaults when unset)
+ * LISTING_EXPIRY_REMINDER_DAYS       - days before expiry to send the reminder (3)
+ */
+
+const jwt = require('jsonwebtoken');
+const Listing = require('../models/Listing');
+const { notifyUser } = require('./notificationService');
+const { sendListingExpiring } = require('./emailService');
+const { matchSavedSearches } = require('./savedSearches');
+
+const DEFAULT_EXPIRY_DAYS = 30;
+
+const CATEGORY_EXPIRY_DAYS = {
+  Furniture: 45,
+  Electronics: 30,
+  Books: 60,
+  Kitchen: 45,
+  Clothing: 30,
+  Sports: 45,
+  Toys: 45,
+  Other: 30
+};
+
+const REMINDER_DAYS = Number(process.env.LISTING_EXPIRY_REMINDER_DAYS) || 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let categoryOverrides = null;
+
+function getCategoryOverrides() {
+  if (categoryOverrides) return categoryOverrides;
+
+  categoryOverrides = {};
+  if (process.env.LISTING_EXPIRY_DAYS_BY_CATEGORY) {
+    try {
+      categoryOverrides = JSON.parse(process.env.LISTING_EXPIRY_DAYS_BY_CATEGORY);
+    } catch (error) {
+      console.error('[EXPIRY] Invalid LISTING_EXPIRY_DAYS_BY_CATEGORY, using defaults:', error.message);
+    }
+  }
+  return categoryOverrides;
+}
+
+/**
+ * Lifetime of a listing in the given category
+ * @param {String} category - Listing category
+ * @returns {Number} - Days
+ */
+function getExpiryDays(category) {
+  const override = Number(getCategoryOverrides()[category]);
+  if (override > 0) return override;
+
+  const globalDays = Number(process.env.LISTING_EXPIRY_DAYS);
+  if (globalDays > 0) return globalDays;
+
+  return CATEGORY_EXPIRY_DAYS[category] || DEFAULT_EXPIRY_DAYS;
+}
+
+/**
+ * Expiry date for a listing going live at `from`
+ */
+function computeExpiresAt(category, from = new Date()) {
+  return new Date(from.getTime() + getExpiryDays(category) * DAY_MS);
+}
+
+/**
+ * Make a listing live (approval, scheduled publish) and start its expiry clock
+ * Sets fields only; the caller saves.
+ */
+function publishListing(listing, now = new Date()) {
+  listing.status = 'active';
+  listing.publishedAt = now;
+  listing.expiresAt = computeExpiresAt(listing.category, now);
+  listing.expiryReminderSentAt = null;
+}
+
+/**
+ * Renew an active or expired listing for another full period
+ * Sets fields only; the caller saves.
+ */
+function renewListing(listing, now = new Date()) {
+  listing.status = 'active';
+  listing.expiresAt = computeExpiresAt(listing.category, now);
+  listing.expiryReminderSentAt = null;
+  listing.renewedAt = now;
+}
+
+/**
+ * Signed one-click renew token
+ * Bound to the current expiry date, so it stops working once the listing is renewed.
+ */
+function createRenewToken(listing) {
+  return jwt.sign(
+    {
+      id: listing._id,
+      seller: listing.seller._id || listing.seller,
+      purpose: 'listing_renewal',
+      expiresAt: listing.expiresAt.getTime()
+    },
+    process.env.JWT_SECRET || 'market-cairo-jwt-secret',
+    { expiresIn: '30d' }
+  );
+}
+
+/**
+ * Decode a renew token
+ * @returns {Object|null} - { id, seller, expiresAt }, or null when invalid
+ */
+function verifyRenewToken(token) {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET || 'market-cairo-jwt-secret');
+    if (decoded.purpose !== 'listing_renewal') return null;
+    return { id: decoded.id, seller: decoded.seller, expiresAt: decoded.expiresAt };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Publish approved listings whose scheduled time has come
+ * @param {Object} io - socket.io server (for saved search alerts)
+ * @returns {Promise<Number>} - Listings published
+ */
+async function publishScheduledListings(io) {
+  const due = await Listing.find({
+    status: 'scheduled',
+    moderationStatus: 'approved',
+    publishAt: { $lte: new Date() }
+  });
+
+  let published = 0;
+  for (const listing of due) {
+    publishListing(listing);
+
+    // Conditional on still being scheduled, so overlapping runs publish (and alert) once
+    const result = await Listing.updateOne(
+      { _id: listing._id, status: 'scheduled' },
+      {
+        status: listing.status,
+        publishedAt: listing.publishedAt,
+        expiresAt: listing.expiresAt,
+        expiryReminderSentAt: null
+      }
+    );
+    if (result.modifiedCount === 0) continue;
+    published += 1;
+
+    await matchSavedSearches(io, listing);
+  }
+
+  return published;
+}
+
+/**
+ * Remind sellers whose listings expire within REMINDER_DAYS
+ * @param {Object} io - socket.io server (for push notifications)
+ * @returns {Promise<Number>} - Reminders sent
+ */
+async function sendExpiryReminders(io) {
+  const now = new Date();
+  const listings = await Listing.find({
+    status: 'active',
+    isDeleted: { $ne: true },
+    expiresAt: { $gt: now, $lte: new Date(now.getTime() + REMINDER_DAYS * DAY_MS) },
+    expiryReminderSentAt: null
+  });
+
+  for (const listing of listings) {
+    // Mark first so a failing email can't cause repeated reminders
+    listing.expiryReminderSentAt = now;
+    await listing.save();
+
+    const renewToken = createRenewToken(listing);
+    await notifyUser(io, listing.seller, {
+      category: 'listing_expiry',
+      type: 'listing',
+      title: 'Listing Expiring Soon',
+      content: `Your listing "${listing.title}" expires on ${listing.expiresAt.toUTCString()}. Renew it to keep it visible.`,
+      relatedId: listing._id,
+      email: seller => sendListingExpiring(seller, listing, renewToken)
+    });
+  }
+
+  return listings.length;
+}
+
+/**
+ * Move listings past their expiry date to 'expired'
+ * @returns {Promise<Number>} - Listings expired
+ */
+async function expireDueListings() {
+  const result = await Listing.updateMany(
+    { status: 'active', expiresAt: { $lte: new Date() } },
+    { status: 'expired' }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Give live listings created before expiry existed a full period from now
+ * (idempotent - only touches listings without an expiry date)
+ */
+async function backfillListingExpiry() {
+  const now = new Date();
+  const query = { status: 'active', moderationStatus: 'approved', expiresAt: null };
+  const categories = await Listing.distinct('category', query);
+
+  let updated = 0;
+  for (const category of categories) {
+    const result = await Listing.updateMany(
+      { ...query, category },
+      { expiresAt: computeExpiresAt(category, now) }
+    );
+    updated += result.modifiedCount;
+  }
+
+  if (updated > 0) {
+    console.log(`[MIGRATION] Set expiry date on ${updated} active listings`);
+  }
+}
+
+module.exports = {
+  REMINDER_DAYS,
+  getExpiryDays,
+  computeExpiresAt,
+  publishListing,
+  renewListing,
+  createRenewToken,
+  verifyRenewToken,
+  publishScheduledListings,
+  sendExpiryReminders,
+  expireDueListings,
+  backfillListingExpiry
+};
@@ -0,0 +1,162 @@
+/**
+ * Public listing search: filters -> MongoDB query and sort
+ * Shared by GET /api/listings and saved searches, so a saved search
+ * matches exactly what the same live search would return.
+ */
+
+const { EARTH_RADIUS_KM, getEquivalentAreas, canonicalArea } = require('./geo');
+const { normalizeSearchQuery } = require('./searchText');
+
+// Lower bounds of the price facet buckets (EGP); the last bucket is open-ended
+const PRICE_BUCKETS = [0, 500, 1000, 2500, 5000, 10000, 25000, 50000];
+
+// Filters a search (live or saved) can use
+const SEARCH_FILTERS = ['category', 'condition', 'minPrice', 'maxPrice', 'location', 'search'];
+
+/**
+ * Not past its expiry date (covers the gap before the expiry job marks it 'expired')
+ */
+function notExpired() {
+  return { expiresAt: { $not: { $lte: new Date() } } };
+}
+
+/**
+ * Build the query for publicly visible listings matching the filters
+ * Includes soft-deleted listings for 2 days (shown as sold).
+ * @param {Object} filters - { category, condition, minPrice, maxPrice, location, search, featured, seller, near }
+ *   near: { lat, lng, radiusKm } from parseNearFilter
+ *   attributes: conditions from buildAttributeFilters
+ * @returns {Object} - MongoDB query
+ */
+function buildListingQuery(filters = {}) {
+  const { category, condition, minPrice, maxPrice, location, search, featured, seller, near, attributes } = filters;
+
+  const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+  const query = {
+    moderationStatus: 'approved',
+    $or: [
+      { status: 'active', isDeleted: { $ne: true }, ...notExpired() }, // Active & not deleted
+      { isDeleted: true, deletedAt: { $gt: twoDaysAgo } } // Soft-deleted within 2 days (status may be 'sold')
+    ]
+  };
+
+  if (category) query.category = String(category);
+  if (condition) query.condition = String(condition);
+  // Aliases match too ('Tagamoa' finds 'New Cairo' listings and vice versa)
+  if (location) query['location.area'] = { $in: getEquivalentAreas(String(location)) };
+  if (seller) query.seller = String(seller);
+  if (featured === true || featured === 'true') query.featured = true;
+
+  // Price filter
+  if (minPrice || maxPrice) {
+    query.price = {};
+    if (minPrice) query.price.$gte = Number(minPrice);
+    if (maxPrice) query.price.$lte = Number(maxPrice);
+  }
+
+  // Category attributes (already validated against the category's definitions)
+  if (attributes) Object.assign(query, attributes);
+
+  // Radius search (on the rounded public point, never the exact pin)
+  if (near) {
+    query['location.publicPoint'] = {
+      $geoWithin: { $centerSphere: [[near.lng, near.lat], near.radiusKm / EARTH_RADIUS_KM] }
+    };
+  }
+
+  // Text search (normalized like the indexed searchText, so Arabic spelling variants match)
+  if (search) {
+    query.$text = { $search: normalizeSearchQuery(search) };
+  }
+
+  return query;
+}
+
+/**
+ * Sort option for a sort name (sort=distance needs $geoNear, see GET /api/listings)
+ * @param {String} sort - recent | newest | oldest | price_low | price_high | popular
+ * @returns {Object} - MongoDB sort
+ */
+function buildListingSort(sort) {
+  switch (sort) {
+    case 'price_low':
+      return { price: 1 };
+    case 'price_high':
+      return { price: -1 };
+    case 'popular':
+      return { views: -1 };
+    case 'oldest':
+      return { createdAt: 1 };
+    case 'newest':
+    case 'recent':
+    default:
+      return { createdAt: -1 };
+  }
+}
+
+/**
+ * $facet sub-pipelines counting the matching listings per category, condition, area and price
+ * Run in the same aggregation as the page of results.
+ */
+function buildFacetPipelines() {
+  const countBy = field => [
+    { $group: { _id: field, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  ];
+
+  return {
+    categories: countBy('$category'),
+    conditions: countBy('$condition'),
+    areas: countBy('$location.area'),
+    prices: [{
+      $bucket: {
+        groupBy: '$price',
+        boundaries: PRICE_BUCKETS,
+        default: 'over',
+        output: { count: { $sum: 1 } }
+      }
+    }]
+  };
+}
+
+/**
+ * Facet counts from a $facet result, shaped for the API
+ * @param {Object} result - Aggregation result with the buildFacetPipelines() keys
+ * @returns {Object} - { categories, conditions, areas, prices: [{ min, max, count }] }
+ */
+function formatFacets(result) {
+  const values = buckets => buckets
+    .filter(bucket => bucket._id != null)
+    .map(({ _id, count }) => ({ value: _id, count }));
+
+  // Aliases are counted under the area they stand for
+  const areaCounts = new Map();
+  for (const { value, count } of values(result.areas)) {
+    const area = canonicalArea(value);
+    areaCounts.set(area, (areaCounts.get(area) || 0) + count);
+  }
+
+  const last = PRICE_BUCKETS[PRICE_BUCKETS.length - 1];
+  const prices = result.prices.map(({ _id, count }) => {
+    if (_id === 'over') return { min: last, max: null, count };
+    const index = PRICE_BUCKETS.indexOf(_id);
+    return { min: _id, max: PRICE_BUCKETS[index + 1], count };
+  });
+
+  return {
+    categories: values(result.categories),
+    conditions: values(result.conditions),
+    areas: [...areaCounts].map(([value, count]) => ({ value, count })).sort((a, b) => b.count - a.count),
+    prices
+  };
+}
+
+module.exports = {
+  SEARCH_FILTERS,
+  PRICE_BUCKETS,
+  notExpired,
+  buildListingQuery,
+  buildListingSort,
+  buildFacetPipelines,
+  formatFacets
+};
@@ -0,0 +1,149 @@
+/**
+ * Brute-force protection for login
+ * Failures are counted per account and per client IP in MongoDB so every server
+ * instance sees the same counters. Each failure adds an exponential delay before
+ * the next attempt; reaching the limit locks the key for a period that doubles
+ * with every repeated lockout. An IP block throttles failed attempts only.
+ */
+
+const LoginAttempt = require('../models/LoginAttempt');
+
+const SETTINGS = {
+  accountMaxFailures: Number(process.env.LOGIN_MAX_FAILURES) || 5,
+  ipMaxFailures: Number(process.env.LOGIN_IP_MAX_FAILURES) || 20,
+  lockMinutes: Number(process.env.LOGIN_LOCK_MINUTES) || 15,
+  maxLockMinutes: 24 * 60,
+  maxBackoffSeconds: 30,
+  resetAfterHours: 24
+};
+
+const accountKey = (email) => `account:${String(email || '').toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+/**
+ * Check whether a login attempt may proceed
+ * A blocked account stops the attempt. A blocked IP is only reported (ipThrottle):
+ * the password is still checked, and only failures are answered as throttled, so
+ * people sharing an IP (carrier NAT, offices) aren't locked out by someone else.
+ * @param {String} email - Account email
+ * @param {String} ip - Client IP
+ * @returns {Promise<Object>} - { allowed, retryAfter (seconds), locked, ipThrottle }
+ *   ipThrottle: { retryAfter, locked } while the IP is blocked, else null
+ */
+async function checkLoginAllowed(email, ip) {
+  const now = new Date();
+  const blocks = await LoginAttempt.find({
+    key: { $in: [accountKey(email), ipKey(ip)] },
+    blockedUntil: { $gt: now }
+  });
+
+  const describe = block => ({
+    locked: block.locked,
+    retryAfter: Math.ceil((block.blockedUntil.getTime() - now.getTime()) / 1000)
+  });
+
+  const accountBlock = blocks.find(block => block.kind === 'account');
+  if (accountBlock) {
+    return { allowed: false, ...describe(accountBlock) };
+  }
+
+  const ipBlock = blocks.find(block => block.kind === 'ip');
+  return { allowed: true, ipThrottle: ipBlock ? describe(ipBlock) : null };
+}
+
+async function registerFailure(key, kind, maxFailures, ip) {
+  const now = new Date();
+
+  // One atomic update (pipeline) both counts the failure and, on reaching the
+  // limit, locks and resets the counter, so concurrent failures aren't lost
+  const failures = { $add: [{ $ifNull: ['$failures', 0] }, 1] };
+  const lockCount = { $ifNull: ['$lockCount', 0] };
+  const reachedLimit = { $gte: [failures, maxFailures] };
+  const lockMs = {
+    $multiply: [{ $min: [{ $multiply: [SETTINGS.lockMinutes, { $pow: [2, lockCount] }] }, SETTINGS.maxLockMinutes] }, 60 * 1000]
+  };
+  // Exponential backoff from the second failure on: 1s, 2s, 4s ... capped
+  const backoffMs = {
+    $cond: [
+      { $gt: [failures, 1] },
+      { $multiply: [{ $min: [{ $pow: [2, { $subtract: [failures, 2] }] }, SETTINGS.maxBackoffSeconds] }, 1000] },
+      0
+    ]
+  };
+
+  const attempt = await LoginAttempt.findOneAndUpdate(
+    { key },
+    [{
+      $set: {
+        kind,
+        lastFailureAt: now,
+        lastIp: { $literal: ip },
+        expiresAt: new Date(now.getTime() + SETTINGS.resetAfterHours * 60 * 60 * 1000),
+        locked: reachedLimit,
+        blockedUntil: { $add: [now, { $cond: [reachedLimit, lockMs, backoffMs] }] },
+        lockCount: { $cond: [reachedLimit, { $add: [lockCount, 1] }, lockCount] },
+        failures: { $cond: [reachedLimit, 0, failures] }
+      }
+    }],
+    { upsert: true, new: true }
+  );
+
+  return { justLocked: attempt.locked, attempt };
+}
+
+/**
+ * Record a failed login for both the account and the client IP
+ * @returns {Promise<Object>} - { accountLocked: Boolean, lockedUntil: Date }
+ */
+async function recordLoginFailure(email, ip) {
+  const [account] = await Promise.all([
+    registerFailure(accountKey(email), 'account', SETTINGS.accountMaxFailures, ip),
+    registerFailure(ipKey(ip), 'ip', SETTINGS.ipMaxFailures, ip)
+  ]);
+
+  return {
+    accountLocked: account.justLocked,
+    lockedUntil: account.attempt.blockedUntil
+  };
+}
+
+/**
+ * Reset the account counter after a successful login
+ * (IP counter is left alone so valid logins can't launder a guessing run)
+ */
+async function recordLoginSuccess(email) {
+  await LoginAttempt.deleteOne({ key: accountKey(email) });
+}
+
+/**
+ * Clear the lockout of an account (admin action)
+ */
+async function clearAccountLockout(email) {
+  const result = await LoginAttempt.deleteOne({ key: accountKey(email) });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Current lockout state for a set of accounts, keyed by email
+ */
+async function getAccountLockouts(emails) {
+  const attempts = await LoginAttempt.find({
+    key: { $in: emails.map(accountKey) },
+    locked: true,
+    blockedUntil: { $gt: new Date() }
+  });
+
+  return attempts.reduce((acc, attempt) => {
+    acc[attempt.key.slice('account:'.length)] = attempt.blockedUntil;
+    return acc;
+  }, {});
+}
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  clearAccountLockout,
+  getAccountLockouts,
+  SETTINGS
+};
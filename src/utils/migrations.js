@@ -0,0 +1,37 @@
+/**
+ * Data migrations
+ * Every migration is idempotent. They run when the long-running server starts
+ * and through `npm run migrate` (src/migrate.js) for serverless deploys, never
+ * as part of connecting to the database.
+ */
+
+const MIGRATIONS = [
+  ['migrateLegacyAdmins', () => require('../models/User').migrateLegacyAdmins()],
+  ['backfillEmailVerified', () => require('../models/User').backfillEmailVerified()],
+  ['syncSecurityEventRetention', () => require('../models/SecurityEvent').syncRetention()],
+  ['backfillListingExpiry', () => require('./listingExpiry').backfillListingExpiry()],
+  ['backfillLocationPoints', () => require('../models/Listing').backfillLocationPoints()],
+  ['migrateSearchText', () => require('../models/Listing').migrateSearchText()],
+  ['seedCategoryAttributes', () => require('../models/CategoryAttribute').seedDefaults()]
+];
+
+/**
+ * Run every migration in order; a failing one is logged and the rest still run
+ * @returns {Promise<Boolean>} - Whether all of them succeeded
+ */
+async function runMigrations() {
+  let succeeded = true;
+
+  for (const [name, migrate] of MIGRATIONS) {
+    try {
+      await migrate();
+    } catch (error) {
+      succeeded = false;
+      console.error(`[MIGRATION] ${name} failed:`, error.message);
+    }
+  }
+
+  return succeeded;
+}
+
+module.exports = { runMigrations };
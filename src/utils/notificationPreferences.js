@@ -0,0 +1,122 @@
+/**
+ * Notification categories, delivery channels and per-user preferences
+ * Account security emails (verification, password reset, lockouts, deletion)
+ * are not a category: they are always sent.
+ */
+
+const jwt = require('jsonwebtoken');
+
+const NOTIFICATION_CHANNELS = ['inApp', 'email', 'push'];
+
+// Default channels for each category (marketing is opt-in)
+const NOTIFICATION_DEFAULTS = {
+  messages: { inApp: true, email: false, push: true },
+  offers: { inApp: true, email: true, push: true },
+  listing_moderation: { inApp: true, email: true, push: true },
+  listing_expiry: { inApp: true, email: true, push: true },
+  verification: { inApp: true, email: true, push: true },
+  price_drops: { inApp: true, email: true, push: true },
+  saved_searches: { inApp: true, email: true, push: true },
+  marketing: { inApp: false, email: false, push: false }
+};
+
+const NOTIFICATION_CATEGORIES = Object.keys(NOTIFICATION_DEFAULTS);
+
+/**
+ * Check whether a user receives a category on a channel
+ * Falls back to the default when the preference was never saved.
+ * @param {Object} user - User document (or lean object)
+ * @param {String} category - Notification category
+ * @param {String} channel - inApp | email | push
+ * @returns {Boolean}
+ */
+function isChannelEnabled(user, category, channel) {
+  const value = user?.notificationPreferences?.[category]?.[channel];
+  if (typeof value === 'boolean') return value;
+  return Boolean(NOTIFICATION_DEFAULTS[category]?.[channel]);
+}
+
+/**
+ * Full preference matrix for a user, defaults filled in
+ * @param {Object} user - User document
+ * @returns {Object} - { [category]: { inApp, email, push } }
+ */
+function getPreferences(user) {
+  return NOTIFICATION_CATEGORIES.reduce((acc, category) => {
+    acc[category] = NOTIFICATION_CHANNELS.reduce((channels, channel) => {
+      channels[channel] = isChannelEnabled(user, category, channel);
+      return channels;
+    }, {});
+    return acc;
+  }, {});
+}
+
+/**
+ * Validate a partial preference update
+ * @param {Object} update - { [category]: { [channel]: Boolean } }
+ * @returns {String|null} - Error message, or null when valid
+ */
+function validatePreferenceUpdate(update) {
+  if (!update || typeof update !== 'object' || Array.isArray(update)) {
+    return 'Preferences must be an object';
+  }
+
+  for (const [category, channels] of Object.entries(update)) {
+    if (!NOTIFICATION_CATEGORIES.includes(category)) {
+      return `Unknown notification category: ${category}`;
+    }
+    if (!channels || typeof channels !== 'object' || Array.isArray(channels)) {
+      return `Channels for ${category} must be an object`;
+    }
+    for (const [channel, value] of Object.entries(channels)) {
+      if (!NOTIFICATION_CHANNELS.includes(channel)) {
+        return `Unknown notification channel: ${channel}`;
+      }
+      if (typeof value !== 'boolean') {
+        return `${category}.${channel} must be true or false`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Signed token for one-click email unsubscribe links
+ * No expiry: links in old emails must keep working, and the token can only turn emails off.
+ * @param {String} userId - User ID
+ * @param {String} category - Notification category
+ */
+function createUnsubscribeToken(userId, category) {
+  return jwt.sign(
+    { id: userId, purpose: 'unsubscribe', category },
+    process.env.JWT_SECRET || 'market-cairo-jwt-secret'
+  );
+}
+
+/**
+ * Decode an unsubscribe token
+ * @returns {Object|null} - { id, category }, or null when invalid
+ */
+function verifyUnsubscribeToken(token) {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET || 'market-cairo-jwt-secret');
+    if (decoded.purpose !== 'unsubscribe' || !NOTIFICATION_CATEGORIES.includes(decoded.category)) {
+      return null;
+    }
+    return { id: decoded.id, category: decoded.category };
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  NOTIFICATION_CATEGORIES,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_DEFAULTS,
+  isChannelEnabled,
+  getPreferences,
+  validatePreferenceUpdate,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken
+};
@@ -0,0 +1,71 @@
+/**
+ * Notification delivery across in-app, push (socket.io) and email,
+ * filtered by each user's notification preferences.
+ */
+
+const User = require('../models/User');
+const { isChannelEnabled } = require('./notificationPreferences');
+
+// In-app notifications kept per user
+const MAX_IN_APP_NOTIFICATIONS = 50;
+
+/**
+ * Notify a user on every channel they have enabled for the category
+ * Never throws: a failed notification must not fail the action that caused it.
+ * @param {Object} io - socket.io server (req.app.get('io')); push is skipped without it
+ * @param {Object|String} userOrId - User document or ID
+ * @param {Object} notification - { category, type, title, content, relatedId, email }
+ *   email: optional async (user) => void that sends the category email
+ *   (emailService category senders check the email preference themselves)
+ * @returns {Promise<Object>} - Channels used: { inApp, push, email }
+ */
+async function notifyUser(io, userOrId, { category, type, title, content, relatedId, email }) {
+  const delivered = { inApp: false, push: false, email: false };
+
+  try {
+    const user = userOrId && userOrId._id && userOrId.email
+      ? userOrId
+      : await User.findById(userOrId).select('name email isActive notificationPreferences');
+
+    if (!user || user.isActive === false) return delivered;
+
+    const entry = {
+      type,
+      category,
+      title,
+      content,
+      relatedId,
+      read: false,
+      createdAt: new Date()
+    };
+
+    if (isChannelEnabled(user, category, 'inApp')) {
+      await User.updateOne({ _id: user._id }, {
+        $push: {
+          notifications: {
+            $each: [entry],
+            $slice: -MAX_IN_APP_NOTIFICATIONS
+          }
+        }
+      });
+      delivered.inApp = true;
+    }
+
+    // Pushed to the user's private room (joined with a valid access token)
+    if (io && isChannelEnabled(user, category, 'push')) {
+      io.to(`user:${user._id}`).emit('notification', entry);
+      delivered.push = true;
+    }
+
+    if (email && isChannelEnabled(user, category, 'email')) {
+      await email(user);
+      delivered.email = true;
+    }
+  } catch (error) {
+    console.error(`[NOTIFY] Failed to deliver ${category} notification:`, error.message);
+  }
+
+  return delivered;
+}
+
+module.exports = { notifyUser, MAX_IN_APP_NOTIFICATIONS };
@@ -0,0 +1,188 @@
+/**
+ * Identity token verification for Google and Facebook logins
+ * ID tokens are checked against the provider's JWKS; Facebook access tokens
+ * are checked against the Graph API using the app secret.
+ *
+ * Key material can be injected (setProviderKeys or GOOGLE_JWKS / FACEBOOK_JWKS)
+ * so the whole flow runs offline against locally generated keys.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// How long fetched JWKS documents are reused before refetching
+const JWKS_CACHE_MS = 60 * 60 * 1000;
+
+const PROVIDERS = {
+  google: {
+    issuers: ['https://accounts.google.com', 'accounts.google.com'],
+    audience: () => process.env.GOOGLE_CLIENT_ID,
+    jwksUri: () => process.env.GOOGLE_JWKS_URI || 'https://www.googleapis.com/oauth2/v3/certs',
+    inlineJwks: () => process.env.GOOGLE_JWKS
+  },
+  facebook: {
+    issuers: ['https://www.facebook.com', 'https://limited.facebook.com'],
+    audience: () => process.env.FACEBOOK_APP_ID,
+    jwksUri: () => process.env.FACEBOOK_JWKS_URI || 'https://limited.facebook.com/.well-known/oauth/openid/jwks/',
+    inlineJwks: () => process.env.FACEBOOK_JWKS
+  }
+};
+
+const keyOverrides = {};
+const jwksCache = {};
+let httpFetch = (...args) => fetch(...args);
+
+/**
+ * Inject JWKS for a provider (bypasses network fetching)
+ * @param {String} provider - 'google' or 'facebook'
+ * @param {Object|null} jwks - { keys: [...] }, or null to remove the override
+ */
+function setProviderKeys(provider, jwks) {
+  if (jwks) {
+    keyOverrides[provider] = jwks;
+  } else {
+    delete keyOverrides[provider];
+  }
+  delete jwksCache[provider];
+}
+
+/**
+ * Replace the HTTP client used for JWKS and Graph API requests
+ * @param {Function} fetchImpl - fetch-compatible function
+ */
+function setHttpClient(fetchImpl) {
+  httpFetch = fetchImpl;
+}
+
+/**
+ * Check whether a provider has the configuration it needs
+ */
+function isProviderConfigured(provider) {
+  if (provider === 'facebook') {
+    return Boolean(process.env.FACEBOOK_APP_ID);
+  }
+  return Boolean(PROVIDERS[provider] && PROVIDERS[provider].audience());
+}
+
+async function getJwks(provider, forceRefresh = false) {
+  if (keyOverrides[provider]) return keyOverrides[provider];
+
+  const inline = PROVIDERS[provider].inlineJwks();
+  if (inline) return JSON.parse(inline);
+
+  const cached = jwksCache[provider];
+  if (!forceRefresh && cached && cached.expiresAt > Date.now()) {
+    return cached.jwks;
+  }
+
+  const response = await httpFetch(PROVIDERS[provider].jwksUri());
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${provider} signing keys (${response.status})`);
+  }
+
+  const jwks = await response.json();
+  jwksCache[provider] = { jwks, expiresAt: Date.now() + JWKS_CACHE_MS };
+  return jwks;
+}
+
+async function getSigningKey(provider, kid) {
+  let jwks = await getJwks(provider);
+  let jwk = (jwks.keys || []).find(key => key.kid === kid);
+
+  // Provider may have rotated keys since the last fetch
+  if (!jwk && !keyOverrides[provider]) {
+    jwks = await getJwks(provider, true);
+    jwk = (jwks.keys || []).find(key => key.kid === kid);
+  }
+
+  if (!jwk) {
+    throw new Error(`Unknown ${provider} signing key`);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * Verify a provider-issued OpenID Connect ID token
+ * @param {String} provider - 'google' or 'facebook'
+ * @param {String} idToken - Raw JWT from the client
+ * @returns {Promise<Object>} - { providerId, email, emailVerified, name, avatar }
+ */
+async function verifyIdToken(provider, idToken) {
+  const config = PROVIDERS[provider];
+  if (!config) throw new Error(`Unsupported provider: ${provider}`);
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header || decoded.header.alg !== 'RS256') {
+    throw new Error('Malformed identity token');
+  }
+
+  const key = await getSigningKey(provider, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256'],
+    audience: config.audience(),
+    issuer: config.issuers
+  });
+
+  return {
+    providerId: claims.sub,
+    email: claims.email ? claims.email.toLowerCase() : undefined,
+    // Only trust the address when the provider explicitly vouches for it
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name,
+    avatar: typeof claims.picture === 'string' ? claims.picture : claims.picture?.data?.url
+  };
+}
+
+/**
+ * Verify a classic Facebook Login access token via the Graph API
+ * @param {String} accessToken - User access token from the client
+ * @returns {Promise<Object>} - { providerId, email, emailVerified, name, avatar }
+ */
+async function verifyFacebookAccessToken(accessToken) {
+  const appId = process.env.FACEBOOK_APP_ID;
+  const appSecret = process.env.FACEBOOK_APP_SECRET;
+  const graphUrl = process.env.FACEBOOK_GRAPH_URL || 'https://graph.facebook.com';
+
+  if (!appId || !appSecret) {
+    throw new Error('Facebook app secret is not configured');
+  }
+
+  const debugResponse = await httpFetch(
+    `${graphUrl}/debug_token?input_token=${encodeURIComponent(accessToken)}` +
+    `&access_token=${encodeURIComponent(`${appId}|${appSecret}`)}`
+  );
+  const debug = await debugResponse.json();
+
+  if (!debug.data || !debug.data.is_valid || String(debug.data.app_id) !== String(appId)) {
+    throw new Error('Facebook access token is not valid for this app');
+  }
+
+  const appSecretProof = crypto.createHmac('sha256', appSecret).update(accessToken).digest('hex');
+  const profileResponse = await httpFetch(
+    `${graphUrl}/me?fields=id,name,email,picture.type(large)` +
+    `&access_token=${encodeURIComponent(accessToken)}&appsecret_proof=${appSecretProof}`
+  );
+  const profile = await profileResponse.json();
+
+  if (!profile.id || profile.id !== debug.data.user_id) {
+    throw new Error('Facebook profile does not match access token');
+  }
+
+  return {
+    providerId: profile.id,
+    email: profile.email ? profile.email.toLowerCase() : undefined,
+    // Graph API doesn't state whether the address was confirmed
+    emailVerified: false,
+    name: profile.name,
+    avatar: profile.picture?.data?.url
+  };
+}
+
+module.exports = {
+  verifyIdToken,
+  verifyFacebookAccessToken,
+  isProviderConfigured,
+  setProviderKeys,
+  setHttpClient
+};
@@ -0,0 +1,139 @@
+/**
+ * Offers: conversation messages, notifications and expiry
+ * Every step of a negotiation is posted as a 'system' message in the
+ * buyer/seller conversation, so the agreed price is on record.
+ *
+ * OFFER_EXPIRY_HOURS - hours a proposal stays open without a response (48)
+ */
+
+const Offer = require('../models/Offer');
+const { postSystemMessage } = require('./conversations');
+const { notifyUser } = require('./notificationService');
+const { sendOfferUpdate } = require('./emailService');
+
+const OFFER_EXPIRY_HOURS = Number(process.env.OFFER_EXPIRY_HOURS) || 48;
+
+const formatAmount = (amount) => `EGP ${amount.toLocaleString()}`;
+
+/**
+ * Expiry date for a proposal made now
+ */
+function computeOfferExpiry(from = new Date()) {
+  return new Date(from.getTime() + OFFER_EXPIRY_HOURS * 60 * 60 * 1000);
+}
+
+/**
+ * Whether a listing can receive (or accept) offers: live and not reserved
+ */
+function isOpenForOffers(listing) {
+  return listing.status === 'active' &&
+    listing.moderationStatus === 'approved' &&
+    !listing.isDeleted &&
+    !(listing.expiresAt && listing.expiresAt <= new Date());
+}
+
+/**
+ * Post a system message about an offer and notify the other party
+ * @param {Object} io - socket.io server
+ * @param {Object} offer - Offer document
+ * @param {String} actorId - User whose action the message reports
+ * @param {Object} update - { content, title }
+ */
+async function postOfferUpdate(io, offer, actorId, { content, title }) {
+  const posted = await postSystemMessage(io, offer.conversation, actorId, content, { offer: offer._id });
+  if (!posted) return;
+
+  const { conversation, recipientId } = posted;
+  await notifyUser(io, recipientId, {
+    category: 'offers',
+    type: 'message',
+    title,
+    content,
+    relatedId: conversation._id,
+    email: recipient => sendOfferUpdate(recipient, { subject: title, text: content }, conversation._id)
+  });
+}
+
+/**
+ * Close the open offers on a listing once it is reserved, sold or removed
+ * Each is conditional on still being pending, so an answer given meanwhile wins.
+ * @param {Object} io - socket.io server
+ * @param {Object} listing - Listing document
+ * @param {Object|null} acceptedOffer - Offer to leave alone (the accepted one), if any
+ * @param {String} reason - Shown to both parties
+ */
+async function declineOtherOffers(io, listing, acceptedOffer, reason = 'the item has been reserved for another buyer') {
+  const filter = { listing: listing._id, status: 'pending' };
+  if (acceptedOffer) filter._id = { $ne: acceptedOffer._id };
+  const others = await Offer.find(filter);
+
+  for (const offer of others) {
+    const respondedAt = new Date();
+    const result = await Offer.updateOne(
+      { _id: offer._id, status: 'pending' },
+      { status: 'declined', respondedAt }
+    );
+    if (result.modifiedCount === 0) continue;
+    offer.status = 'declined';
+    offer.respondedAt = respondedAt;
+
+    await postOfferUpdate(io, offer, offer.seller, {
+      title: 'Offer Declined',
+      content: `The offer of ${formatAmount(offer.amount)} on "${listing.title}" was declined: ${reason}`
+    });
+  }
+}
+
+/**
+ * Expire a pending proposal past its expiry date
+ * Conditional on it still being pending, so an answer given meanwhile wins.
+ * @param {Object} io - socket.io server
+ * @param {Object} offer - Offer document (listing populated)
+ * @returns {Promise<Boolean>} - Whether this call expired it
+ */
+async function expireOffer(io, offer) {
+  const result = await Offer.updateOne(
+    { _id: offer._id, status: 'pending', expiresAt: { $lte: new Date() } },
+    { status: 'expired' }
+  );
+  if (result.modifiedCount === 0) return false;
+  offer.status = 'expired';
+
+  // Reported as the proposer's, so the party who didn't respond is notified
+  const proposerId = offer.proposedBy === 'buyer' ? offer.buyer : offer.seller;
+  await postOfferUpdate(io, offer, proposerId, {
+    title: 'Offer Expired',
+    content: `The offer of ${formatAmount(offer.amount)}${offer.listing ? ` on "${offer.listing.title}"` : ''} expired without a response`
+  });
+  return true;
+}
+
+/**
+ * Expire proposals nobody responded to in time
+ * @param {Object} io - socket.io server
+ * @returns {Promise<Number>} - Offers expired
+ */
+async function expireOffers(io) {
+  const due = await Offer.find({
+    status: 'pending',
+    expiresAt: { $lte: new Date() }
+  }).populate('listing', 'title');
+
+  let expired = 0;
+  for (const offer of due) {
+    if (await expireOffer(io, offer)) expired += 1;
+  }
+
+  return expired;
+}
+
+module.exports = {
+  OFFER_EXPIRY_HOURS,
+  formatAmount,
+  computeOfferExpiry,
+  isOpenForOffers,
+  postOfferUpdate,
+  declineOtherOffers,
+  expireOffer,
+  expireOffers
+};
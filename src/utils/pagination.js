@@ -0,0 +1,161 @@
+/**
+ * Cursor pagination
+ * A cursor is an opaque token holding the sort values and _id of the last item
+ * of a page; the next page is everything that sorts after it. Unlike skip/limit
+ * it stays fast deep into a feed and doesn't repeat or skip items when new ones
+ * arrive while someone scrolls. Sort keys must always be set on the documents.
+ */
+
+const mongoose = require('mongoose');
+
+const DEFAULT_CURSOR_LIMIT = 20;
+const MAX_CURSOR_LIMIT = 100;
+
+/**
+ * Sort with _id as the final tie-breaker (same direction as the last key)
+ * @param {Object} sort - e.g. { price: 1 }
+ * @returns {Object} - e.g. { price: 1, _id: 1 }
+ */
+function withTieBreaker(sort) {
+  const directions = Object.values(sort);
+  return { ...sort, _id: directions[directions.length - 1] || -1 };
+}
+
+// Identifies the sort a cursor was made for, so it can't be replayed against another
+function sortSignature(sort) {
+  return Object.entries(sort).map(([key, direction]) => `${key}:${direction}`).join(',');
+}
+
+function getValue(doc, path) {
+  if (typeof doc.get === 'function') return doc.get(path);
+  return path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+}
+
+function serializeValue(value) {
+  return value instanceof Date ? { d: value.toISOString() } : value;
+}
+
+// Cursor value for a sort field, checked against the field's schema type.
+// Returns undefined when the value can't belong to the field (tampered cursor).
+function deserializeValue(value, schemaType) {
+  switch (schemaType?.instance) {
+    case 'Date': {
+      if (!value || typeof value !== 'object' || typeof value.d !== 'string') return undefined;
+      const date = new Date(value.d);
+      return isNaN(date) ? undefined : date;
+    }
+    case 'Number':
+      return typeof value === 'number' && Number.isFinite(value) ? value : undefined;
+    case 'String':
+      return typeof value === 'string' ? value : undefined;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Cursor pointing after a document
+ * @param {Object} doc - Last item of the page
+ * @param {Object} sort - Sort the page was fetched with (without _id)
+ * @returns {String}
+ */
+function encodeCursor(doc, sort) {
+  const payload = {
+    s: sortSignature(sort),
+    v: Object.keys(sort).map(key => serializeValue(getValue(doc, key))),
+    id: String(doc._id)
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Query condition selecting the items after a cursor
+ * An empty cursor starts from the first item.
+ * @param {String} cursor - Cursor from a previous page ('' for the first page)
+ * @param {Object} sort - Sort of the listing (without _id)
+ * @param {Object} schema - Schema of the paginated model (to check the values' types)
+ * @returns {Object} - { filter } or { error }
+ */
+function decodeCursor(cursor, sort, schema) {
+  if (cursor === undefined || cursor === '') return { filter: {} };
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    return { error: 'Invalid cursor' };
+  }
+
+  const keys = Object.keys(sort);
+  if (!payload || !Array.isArray(payload.v) || payload.v.length !== keys.length ||
+    typeof payload.id !== 'string' || !/^[a-f\d]{24}$/i.test(payload.id)) {
+    return { error: 'Invalid cursor' };
+  }
+  if (payload.s !== sortSignature(sort)) {
+    return { error: 'Cursor does not match the sort order' };
+  }
+
+  const sortValues = payload.v.map((value, index) => deserializeValue(value, schema.path(keys[index])));
+  if (sortValues.includes(undefined)) {
+    return { error: 'Invalid cursor' };
+  }
+
+  const fullSort = withTieBreaker(sort);
+  const values = [...sortValues, new mongoose.Types.ObjectId(payload.id)];
+  const fields = Object.keys(fullSort);
+
+  // (a > x) or (a = x and b > y) or (a = x and b = y and _id > id) ...
+  const filter = {
+    $or: fields.map((field, index) => {
+      const condition = {};
+      for (let i = 0; i < index; i++) {
+        condition[fields[i]] = values[i];
+      }
+      condition[field] = { [fullSort[field] === 1 ? '$gt' : '$lt']: values[index] };
+      return condition;
+    })
+  };
+
+  return { filter };
+}
+
+/**
+ * Add a cursor condition to a query, keeping its top-level operators ($text) in place
+ */
+function applyCursor(query, filter) {
+  if (!filter || Object.keys(filter).length === 0) return query;
+  return { ...query, $and: [...(query.$and || []), filter] };
+}
+
+/**
+ * Page size for cursor mode
+ */
+function parseCursorLimit(limit, defaultLimit = DEFAULT_CURSOR_LIMIT) {
+  const value = Number(limit);
+  if (!Number.isFinite(value) || value < 1) return defaultLimit;
+  return Math.min(Math.floor(value), MAX_CURSOR_LIMIT);
+}
+
+/**
+ * Trim a page fetched with limit + 1 and compute the next cursor
+ * @param {Array} docs - Up to limit + 1 documents in sort order
+ * @param {Number} limit - Page size
+ * @param {Object} sort - Sort of the listing (without _id)
+ * @returns {Object} - { items, nextCursor } (nextCursor is null on the last page)
+ */
+function buildCursorPage(docs, limit, sort) {
+  const items = docs.slice(0, limit);
+  const nextCursor = docs.length > limit ? encodeCursor(items[items.length - 1], sort) : null;
+  return { items, nextCursor };
+}
+
+module.exports = {
+  DEFAULT_CURSOR_LIMIT,
+  MAX_CURSOR_LIMIT,
+  withTieBreaker,
+  encodeCursor,
+  decodeCursor,
+  applyCursor,
+  parseCursorLimit,
+  buildCursorPage
+};
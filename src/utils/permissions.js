@@ -0,0 +1,48 @@
+/**
+ * Staff roles and the permissions they grant
+ * Every role other than "user" is a staff role (isAdmin is derived from it).
+ */
+
+const PERMISSIONS = [
+  'dashboard.view',
+  'users.view',
+  'users.manage',
+  'roles.manage',
+  'listings.moderate',
+  'verifications.review',
+  'messages.read_original',
+  'security.audit',
+  'categories.manage'
+];
+
+const ROLES = {
+  user: [],
+  support: ['dashboard.view', 'users.view', 'users.manage', 'security.audit'],
+  moderator: ['dashboard.view', 'users.view', 'listings.moderate'],
+  verifier: ['dashboard.view', 'users.view', 'verifications.review'],
+  superadmin: PERMISSIONS
+};
+
+/**
+ * Permissions granted by a role
+ * @param {String} role - Role name
+ * @returns {Array<String>}
+ */
+function getRolePermissions(role) {
+  return ROLES[role] || [];
+}
+
+/**
+ * Check whether a role grants a permission
+ */
+function roleHasPermission(role, permission) {
+  return getRolePermissions(role).includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_NAMES: Object.keys(ROLES),
+  getRolePermissions,
+  roleHasPermission
+};
@@ -0,0 +1,63 @@
+/**
+ * Price-drop alerts for users who favorited a listing
+ * PRICE_DROP_ALERT_PERCENT - minimum drop (percent of the old price) that triggers an alert (5)
+ */
+
+const User = require('../models/User');
+const Listing = require('../models/Listing');
+const { notifyUser } = require('./notificationService');
+const { sendPriceDrop } = require('./emailService');
+
+const PRICE_DROP_ALERT_PERCENT = Number(process.env.PRICE_DROP_ALERT_PERCENT) || 5;
+
+// At most one alert per listing in this window, so repeated small cuts don't spam
+const ALERT_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Notify favoriters about a price drop
+ * @param {Object} io - socket.io server (for push notifications)
+ * @param {Object} listing - Listing document (after the price change was saved)
+ * @param {Object} change - { from, to } as returned by listing.changePrice()
+ * @returns {Promise<Number>} - Users notified
+ */
+async function notifyPriceDrop(io, listing, { from, to }) {
+  const percent = ((from - to) / from) * 100;
+  if (percent < PRICE_DROP_ALERT_PERCENT) return 0;
+
+  // Only live listings are worth an alert
+  if (listing.status !== 'active' || listing.moderationStatus !== 'approved' || listing.isDeleted) {
+    return 0;
+  }
+
+  const now = new Date();
+  if (listing.lastPriceAlertAt && now - listing.lastPriceAlertAt < ALERT_COOLDOWN_MS) {
+    return 0;
+  }
+  await Listing.updateOne({ _id: listing._id }, { lastPriceAlertAt: now });
+
+  const sellerId = listing.seller._id || listing.seller;
+  const users = await User.find({
+    favorites: listing._id,
+    isActive: true,
+    _id: { $ne: sellerId }
+  }).select('name email isActive notificationPreferences');
+
+  for (const user of users) {
+    await notifyUser(io, user, {
+      category: 'price_drops',
+      type: 'listing',
+      title: 'Price Drop',
+      content: `"${listing.title}" dropped from EGP ${from.toLocaleString()} to EGP ${to.toLocaleString()}`,
+      relatedId: listing._id,
+      email: recipient => sendPriceDrop(recipient, listing, from)
+    });
+  }
+
+  if (users.length > 0) {
+    console.log(`[PRICE] Notified ${users.length} users of a ${Math.round(percent)}% drop on listing ${listing._id}`);
+  }
+
+  return users.length;
+}
+
+module.exports = { notifyPriceDrop, PRICE_DROP_ALERT_PERCENT };
@@ -0,0 +1,149 @@
+/**
+ * Listing reservations: a seller holds a listing (status 'pending') for one
+ * conversation participant until the reservation expires or is released.
+ *
+ * RESERVATION_HOURS - default length of a reservation (48)
+ */
+
+const Listing = require('../models/Listing');
+const { notExpired } = require('./listingQuery');
+const { postSystemMessage } = require('./conversations');
+const { notifyUser } = require('./notificationService');
+const { sendOfferUpdate } = require('./emailService');
+
+const RESERVATION_HOURS = Number(process.env.RESERVATION_HOURS) || 48;
+
+// Longest reservation a seller can set
+const MAX_RESERVATION_HOURS = 7 * 24;
+
+/**
+ * Reserve a listing for a buyer (or extend the buyer's current reservation)
+ * Conditional on the listing being live, and active or already reserved for the
+ * same buyer, so two buyers can't both get it.
+ * @param {String} listingId - Listing ID
+ * @param {Object} reservation - { buyer, conversation, offer, hours }
+ * @returns {Promise<Object|null>} - Updated listing, or null if it wasn't available
+ */
+async function reserveListing(listingId, { buyer, conversation, offer, hours = RESERVATION_HOURS }) {
+  const now = new Date();
+
+  return Listing.findOneAndUpdate(
+    {
+      _id: listingId,
+      moderationStatus: 'approved',
+      isDeleted: { $ne: true },
+      ...notExpired(),
+      $or: [
+        { status: 'active' },
+        { status: 'pending', 'reservation.buyer': buyer }
+      ]
+    },
+    {
+      status: 'pending',
+      reservation: {
+        buyer,
+        conversation,
+        offer,
+        reservedAt: now,
+        expiresAt: new Date(now.getTime() + hours * 60 * 60 * 1000)
+      }
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Make a reserved listing available again
+ * @returns {Promise<Object|null>} - Updated listing, or null if it wasn't reserved
+ */
+async function releaseReservation(listingId) {
+  return Listing.findOneAndUpdate(
+    { _id: listingId, status: 'pending' },
+    { status: 'active', $unset: { reservation: 1 } },
+    { new: true }
+  );
+}
+
+/**
+ * Tell both parties about a reservation change in their conversation
+ * @param {Object} io - socket.io server
+ * @param {Object} reservation - The listing's reservation (conversation, buyer)
+ * @param {String} actorId - User whose action the message reports
+ * @param {Object} update - { title, content }
+ */
+async function postReservationUpdate(io, reservation, actorId, { title, content }) {
+  if (!reservation?.conversation) return;
+
+  const posted = await postSystemMessage(io, reservation.conversation, actorId, content);
+  if (!posted) return;
+
+  const { conversation, recipientId } = posted;
+  await notifyUser(io, recipientId, {
+    category: 'offers',
+    type: 'message',
+    title,
+    content,
+    relatedId: conversation._id,
+    email: recipient => sendOfferUpdate(recipient, { subject: title, text: content }, conversation._id)
+  });
+}
+
+/**
+ * Release a listing's reservation if it has run out
+ * Called where reserved listings are read, so a reservation ends on time even
+ * when the release job doesn't run (serverless deploys).
+ * @param {Object} io - socket.io server
+ * @param {Object} listing - Listing document, updated in place when released
+ * @returns {Promise<Boolean>} - Whether this call released it
+ */
+async function releaseIfExpired(io, listing) {
+  const now = new Date();
+  if (!listing || listing.status !== 'pending' || !(listing.reservation?.expiresAt <= now)) {
+    return false;
+  }
+
+  const { conversation } = listing.reservation;
+  const result = await Listing.updateOne(
+    { _id: listing._id, status: 'pending', 'reservation.expiresAt': { $lte: now } },
+    { status: 'active', $unset: { reservation: 1 } }
+  );
+  if (result.modifiedCount === 0) return false;
+  listing.status = 'active';
+  listing.reservation = undefined;
+
+  // _id: the seller may be populated
+  await postReservationUpdate(io, { conversation }, listing.seller._id, {
+    title: 'Reservation Expired',
+    content: `The reservation of "${listing.title}" expired and the listing is available again`
+  });
+  return true;
+}
+
+/**
+ * Release reservations past their expiry date
+ * @param {Object} io - socket.io server
+ * @returns {Promise<Number>} - Reservations released
+ */
+async function releaseExpiredReservations(io) {
+  const due = await Listing.find({
+    status: 'pending',
+    'reservation.expiresAt': { $lte: new Date() }
+  });
+
+  let released = 0;
+  for (const listing of due) {
+    if (await releaseIfExpired(io, listing)) released += 1;
+  }
+
+  return released;
+}
+
+module.exports = {
+  RESERVATION_HOURS,
+  MAX_RESERVATION_HOURS,
+  reserveListing,
+  releaseReservation,
+  postReservationUpdate,
+  releaseIfExpired,
+  releaseExpiredReservations
+};
@@ -0,0 +1,191 @@
+/**
+ * Saved searches: filter validation, matching new listings, email digests
+ * Matching applies the saved filters like buildListingQuery does, so a saved
+ * search agrees with the same live search.
+ */
+
+const Listing = require('../models/Listing');
+const SavedSearch = require('../models/SavedSearch');
+const { buildListingQuery } = require('./listingQuery');
+const { getEquivalentAreas } = require('./geo');
+const { notifyUser } = require('./notificationService');
+const { sendSavedSearchDigest } = require('./emailService');
+
+const MAX_SAVED_SEARCHES = 20;
+
+// Matches kept for a digest (older ones are dropped)
+const MAX_PENDING_MATCHES = 50;
+
+const DIGEST_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate and normalize search filters from a request body
+ * @param {Object} input - { category, condition, location, minPrice, maxPrice, search }
+ * @returns {Object} - { filters } or { error }
+ */
+function validateSearchFilters(input = {}) {
+  const filters = {};
+  const enums = {
+    category: Listing.schema.path('category').enumValues,
+    condition: Listing.schema.path('condition').enumValues,
+    location: Listing.schema.path('location.area').enumValues
+  };
+
+  for (const field of Object.keys(enums)) {
+    if (input[field] === undefined || input[field] === null || input[field] === '') continue;
+    if (!enums[field].includes(input[field])) {
+      return { error: `Invalid ${field}` };
+    }
+    filters[field] = input[field];
+  }
+
+  for (const field of ['minPrice', 'maxPrice']) {
+    if (input[field] === undefined || input[field] === null || input[field] === '') continue;
+    const value = Number(input[field]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `${field} must be a positive number` };
+    }
+    filters[field] = value;
+  }
+
+  if (filters.minPrice !== undefined && filters.maxPrice !== undefined && filters.minPrice > filters.maxPrice) {
+    return { error: 'minPrice cannot be greater than maxPrice' };
+  }
+
+  if (input.search !== undefined && input.search !== null && String(input.search).trim()) {
+    filters.search = String(input.search).trim().slice(0, 100);
+  }
+
+  if (Object.keys(filters).length === 0) {
+    return { error: 'Choose at least one filter to save' };
+  }
+
+  return { filters };
+}
+
+/**
+ * Find saved searches matching a listing that just went live and alert their owners
+ * In-app and push right away; email is sent later as a digest.
+ * @param {Object} io - socket.io server (for push notifications)
+ * @param {Object} listing - Listing document
+ * @returns {Promise<Number>} - Users notified
+ */
+async function matchSavedSearches(io, listing) {
+  const sellerId = listing.seller._id || listing.seller;
+
+  if (!(await Listing.exists({ ...buildListingQuery(), _id: listing._id }))) return 0;
+
+  // The structured filters are compared in the query, the same way buildListingQuery
+  // applies them (a 0 price bound is no bound, area aliases are equivalent)
+  const candidates = await SavedSearch.find({
+    alerts: true,
+    user: { $ne: sellerId },
+    'filters.category': { $in: [null, listing.category] },
+    'filters.condition': { $in: [null, listing.condition] },
+    'filters.location': { $in: [null, ...getEquivalentAreas(listing.location.area)] },
+    $and: [
+      { $or: [{ 'filters.minPrice': { $in: [null, 0] } }, { 'filters.minPrice': { $lte: listing.price } }] },
+      { $or: [{ 'filters.maxPrice': { $in: [null, 0] } }, { 'filters.maxPrice': { $gte: listing.price } }] }
+    ]
+  });
+
+  // Search text goes through the text index: one check per distinct search
+  const searches = [...new Set(candidates.map(savedSearch => savedSearch.filters.search).filter(Boolean))];
+  const matchedSearches = new Set();
+  for (const search of searches) {
+    if (await Listing.exists({ ...buildListingQuery({ search }), _id: listing._id })) {
+      matchedSearches.add(search);
+    }
+  }
+
+  const matching = candidates.filter(savedSearch => !savedSearch.filters.search || matchedSearches.has(savedSearch.filters.search));
+  if (matching.length === 0) return 0;
+
+  const now = new Date();
+  await SavedSearch.updateMany(
+    { _id: { $in: matching.map(savedSearch => savedSearch._id) } },
+    {
+      $push: { pendingMatches: { $each: [{ listing: listing._id, matchedAt: now }], $slice: -MAX_PENDING_MATCHES } },
+      $set: { lastMatchAt: now }
+    }
+  );
+
+  const notifiedUsers = new Set();
+
+  for (const savedSearch of matching) {
+    // One notification per user, even if several of their searches match
+    const userId = savedSearch.user.toString();
+    if (notifiedUsers.has(userId)) continue;
+    notifiedUsers.add(userId);
+
+    await notifyUser(io, savedSearch.user, {
+      category: 'saved_searches',
+      type: 'listing',
+      title: 'New Match for Your Search',
+      content: `"${listing.title}" matches your saved search${savedSearch.name ? ` "${savedSearch.name}"` : ''}`,
+      relatedId: listing._id
+    });
+  }
+
+  return notifiedUsers.size;
+}
+
+/**
+ * Email each user a digest of their new matches (at most once per day)
+ * @returns {Promise<Number>} - Digests sent
+ */
+async function sendSavedSearchDigests() {
+  const cutoff = new Date(Date.now() - DIGEST_INTERVAL_MS);
+
+  const due = await SavedSearch.find({
+    'pendingMatches.0': { $exists: true },
+    $or: [{ lastDigestAt: null }, { lastDigestAt: { $lte: cutoff } }]
+  })
+    .populate('user', 'name email isActive notificationPreferences')
+    .populate('pendingMatches.listing', 'title price images location status moderationStatus isDeleted');
+
+  // Group by user
+  const byUser = new Map();
+  for (const savedSearch of due) {
+    if (!savedSearch.user) continue;
+    const userId = savedSearch.user._id.toString();
+    if (!byUser.has(userId)) byUser.set(userId, { user: savedSearch.user, searches: [] });
+    byUser.get(userId).searches.push(savedSearch);
+  }
+
+  let sent = 0;
+  const now = new Date();
+
+  for (const { user, searches } of byUser.values()) {
+    // Only listings that are still live
+    const sections = searches
+      .map(savedSearch => ({
+        name: savedSearch.name,
+        filters: savedSearch.filters,
+        listings: savedSearch.pendingMatches
+          .map(match => match.listing)
+          .filter(listing => listing && listing.status === 'active' &&
+            listing.moderationStatus === 'approved' && !listing.isDeleted)
+      }))
+      .filter(section => section.listings.length > 0);
+
+    if (user.isActive && sections.length > 0) {
+      await sendSavedSearchDigest(user, sections);
+      sent += 1;
+    }
+
+    await SavedSearch.updateMany(
+      { _id: { $in: searches.map(savedSearch => savedSearch._id) } },
+      { pendingMatches: [], lastDigestAt: now }
+    );
+  }
+
+  return sent;
+}
+
+module.exports = {
+  MAX_SAVED_SEARCHES,
+  validateSearchFilters,
+  matchSavedSearches,
+  sendSavedSearchDigests
+};
@@ -0,0 +1,116 @@
+/**
+ * Arabic-aware search text
+ * MongoDB's text index has no Arabic support, so listings are indexed on a
+ * normalized copy of their text (searchText) and queries are normalized the
+ * same way: "ثلاجه" finds "ثلاجة", "أحمر" finds "احمر", diacritics are ignored.
+ */
+
+// Harakat, tanween, shadda, sukun, superscript alef and Quranic marks
+const DIACRITICS = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED]/g;
+const TATWEEL = /\u0640/g;
+
+const LETTER_VARIANTS = [
+  [/[\u0622\u0623\u0625\u0671]/g, '\u0627'], // آ أ إ ٱ -> ا
+  [/\u0649/g, '\u064A'], // ى -> ي
+  [/\u0629/g, '\u0647'], // ة -> ه
+  [/\u0624/g, '\u0648'], // ؤ -> و
+  [/\u0626/g, '\u064A'] // ئ -> ي
+];
+
+// Definite article prefixes ("ال", "وال", "بال"...), only stripped from longer words
+const ARTICLE_PREFIX = /^(?:[\u0648\u0641\u0628\u0643]?\u0627\u0644)(?=\S{2,})/;
+
+/**
+ * Normalize Arabic (and Latin) text for indexing or searching
+ * @param {String} text
+ * @returns {String}
+ */
+function normalizeArabic(text) {
+  if (!text) return '';
+
+  let normalized = String(text)
+    .replace(DIACRITICS, '')
+    .replace(TATWEEL, '')
+    // Arabic-Indic digits -> 0-9
+    .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+    .toLowerCase();
+
+  for (const [pattern, replacement] of LETTER_VARIANTS) {
+    normalized = normalized.replace(pattern, replacement);
+  }
+
+  return normalized
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => word.replace(ARTICLE_PREFIX, ''))
+    .join(' ');
+}
+
+/**
+ * Indexed text of a listing: every title and description, normalized
+ * @param {Object} listing - Listing document
+ * @returns {String}
+ */
+function buildSearchText(listing) {
+  const { translations = {} } = listing;
+
+  return [
+    listing.title,
+    translations.ar?.title,
+    translations.en?.title,
+    listing.description,
+    translations.ar?.description,
+    translations.en?.description
+  ]
+    .filter(Boolean)
+    .map(normalizeArabic)
+    .join('\n');
+}
+
+/**
+ * Normalize a $text search string, keeping quoted phrases and -negations intact
+ * @param {String} search - User's search text
+ * @returns {String}
+ */
+function normalizeSearchQuery(search) {
+  return String(search)
+    .split(/("[^"]*")/)
+    .map(part => {
+      if (part.startsWith('"') && part.endsWith('"') && part.length > 1) {
+        return `"${normalizeArabic(part.slice(1, -1))}"`;
+      }
+      return part.split(/\s+/)
+        .filter(Boolean)
+        .map(word => (word.startsWith('-') ? `-${normalizeArabic(word.slice(1))}` : normalizeArabic(word)))
+        .join(' ');
+    })
+    .join(' ')
+    .trim();
+}
+
+// Normalized letter -> every spelling it stands for in stored text
+const LETTER_CLASSES = {
+  '\u0627': '[\u0627\u0622\u0623\u0625\u0671]', // ا
+  '\u064A': '[\u064A\u0649\u0626]', // ي
+  '\u0647': '[\u0647\u0629]', // ه
+  '\u0648': '[\u0648\u0624]' // و
+};
+// Diacritics and tatweel may appear after any letter
+const OPTIONAL_MARKS = '[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]*';
+
+/**
+ * Regex source matching words that start with a normalized query in raw
+ * (un-normalized) text, e.g. "ثلاج" matches "الثلاجة". Use with the 'i' option.
+ * @param {String} normalized - Output of normalizeArabic
+ * @returns {String}
+ */
+function buildPrefixPattern(normalized) {
+  const words = normalized.split(' ').filter(Boolean).map(word => Array.from(word)
+    .map(char => (LETTER_CLASSES[char] || char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')) + OPTIONAL_MARKS)
+    .join(''));
+
+  // Optional definite article, as normalizeArabic strips it from the query
+  return `(?:^|\\s)(?:[\u0648\u0641\u0628\u0643]?\u0627\u0644)?${words.join('\\s+')}`;
+}
+
+module.exports = { normalizeArabic, buildSearchText, normalizeSearchQuery, buildPrefixPattern };
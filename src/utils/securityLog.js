@@ -0,0 +1,31 @@
+/**
+ * Security audit logging
+ * Writes never throw: a logging failure must not break the request that caused it.
+ */
+
+const SecurityEvent = require('../models/SecurityEvent');
+
+/**
+ * Record a security event
+ * @param {Object} req - Express request (IP, user agent and default actor)
+ * @param {Object} event - { type, user, actor, outcome, metadata }
+ */
+async function logSecurityEvent(req, { type, user, actor, outcome = 'success', metadata }) {
+  try {
+    const subject = user || req?.user?._id;
+
+    await SecurityEvent.create({
+      type,
+      outcome,
+      user: subject,
+      actor: actor || req?.user?._id || subject,
+      ip: req?.ip,
+      userAgent: req?.get ? req.get('user-agent') : undefined,
+      metadata
+    });
+  } catch (error) {
+    console.error(`[AUDIT] Failed to record ${type} event:`, error.message);
+  }
+}
+
+module.exports = { logSecurityEvent };
@@ -0,0 +1,80 @@
+/**
+ * SMS delivery behind a pluggable provider interface
+ * A provider is an object: { name: String, send: async ({ to, body }) => void }
+ * The default "outbox" provider appends every message to a local log file
+ * instead of sending it, which is what development and tests use.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const outboxPath = process.env.SMS_OUTBOX_PATH || (process.env.VERCEL
+  ? '/tmp/sms-outbox.log'
+  : path.join(__dirname, '../../logs/sms-outbox.log'));
+
+const outboxProvider = {
+  name: 'outbox',
+  async send({ to, body }) {
+    await fs.mkdir(path.dirname(outboxPath), { recursive: true });
+    const line = JSON.stringify({ to, body, createdAt: new Date().toISOString() });
+    await fs.appendFile(outboxPath, `${line}\n`);
+  }
+};
+
+const providers = { outbox: outboxProvider };
+let activeProvider = null;
+
+/**
+ * Register a provider so it can be selected with SMS_PROVIDER=<name>
+ * @param {Object} provider - { name, send }
+ */
+function registerSmsProvider(provider) {
+  if (!provider || !provider.name || typeof provider.send !== 'function') {
+    throw new Error('SMS provider must have a name and a send() function');
+  }
+  providers[provider.name] = provider;
+}
+
+/**
+ * Override the active provider (a registered name or a provider object)
+ */
+function setSmsProvider(provider) {
+  if (typeof provider === 'string') {
+    if (!providers[provider]) throw new Error(`Unknown SMS provider: ${provider}`);
+    activeProvider = providers[provider];
+  } else {
+    activeProvider = provider;
+  }
+}
+
+function getSmsProvider() {
+  if (activeProvider) return activeProvider;
+
+  const name = process.env.SMS_PROVIDER || 'outbox';
+  if (!providers[name]) {
+    console.warn(`[SMS] Unknown provider "${name}", falling back to outbox`);
+    return outboxProvider;
+  }
+  return providers[name];
+}
+
+/**
+ * Send a text message through the active provider
+ * @param {String} to - Destination phone number
+ * @param {String} body - Message text
+ * @returns {Promise<Boolean>} - true if the provider accepted the message
+ */
+async function sendSms(to, body) {
+  const provider = getSmsProvider();
+
+  try {
+    await provider.send({ to, body });
+    console.log(`[SMS] Message sent via ${provider.name} to:`, to);
+    return true;
+  } catch (error) {
+    console.error(`[SMS] Failed to send via ${provider.name}:`, error.message);
+    return false;
+  }
+}
+
+module.exports = { sendSms, registerSmsProvider, setSmsProvider, getSmsProvider };
@@ -0,0 +1,260 @@
+/**
+ * Search suggestions (autocomplete) for GET /api/listings/suggest
+ * Matches the start of any word, in Arabic or English, and tolerates a typo
+ * or two in longer queries. Terms are ranked by how often they were searched,
+ * listing titles by how often the listing was viewed.
+ */
+
+const crypto = require('crypto');
+const SearchTerm = require('../models/SearchTerm');
+const Listing = require('../models/Listing');
+const { CATEGORIES, AREAS } = require('./catalog');
+const { normalizeArabic, buildPrefixPattern } = require('./searchText');
+const { notExpired } = require('./listingQuery');
+const { containsPersonalInfo } = require('./contentFilter');
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_TERM_LENGTH = 60;
+
+// A term is only suggested to others after this many different people searched it
+// (and found listings)
+const MIN_TERM_SEARCHES = 3;
+
+// Searchers remembered per term for counting each once
+const MAX_TERM_CLIENTS = 200;
+
+const MAX_TERMS = 5;
+const MAX_LISTINGS = 5;
+const MAX_CATALOG_MATCHES = 3;
+
+// Most searched terms kept in memory for typo matching
+const VOCABULARY_SIZE = 1000;
+const VOCABULARY_TTL_MS = 5 * 60 * 1000;
+
+let vocabulary = null;
+let vocabularyAt = 0;
+
+// Words of a search without quotes and -negations
+function searchWords(search) {
+  return String(search)
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-'))
+    .join(' ')
+    .slice(0, MAX_TERM_LENGTH)
+    .trim();
+}
+
+/**
+ * Normalized form of a search, without quotes and -negations
+ * @param {String} search
+ * @returns {String}
+ */
+function normalizeTerm(search) {
+  return normalizeArabic(searchWords(search)).slice(0, MAX_TERM_LENGTH).trim();
+}
+
+/**
+ * Count a search that found listings, once per searcher
+ * Searches containing contact details are never recorded.
+ * @param {String} search - Search text as typed
+ * @param {String} client - Who searched ('user:<id>' or 'ip:<address>'), stored hashed
+ */
+async function recordSearchTerm(search, client) {
+  const display = searchWords(search);
+  const term = normalizeTerm(search);
+  if (term.length < MIN_QUERY_LENGTH || containsPersonalInfo(display)) return;
+
+  const clientHash = crypto.createHmac('sha256', process.env.JWT_SECRET || 'market-cairo-jwt-secret')
+    .update(String(client))
+    .digest('hex')
+    .slice(0, 32);
+
+  try {
+    await SearchTerm.updateOne(
+      { term, clients: { $ne: clientHash } },
+      {
+        $inc: { count: 1 },
+        $set: { display, lastSearchedAt: new Date() },
+        $push: { clients: { $each: [clientHash], $slice: -MAX_TERM_CLIENTS } }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Duplicate key: the term exists and this searcher was already counted
+    if (error.code !== 11000) throw error;
+  }
+}
+
+/**
+ * Typos allowed for a query of this length
+ */
+function maxTypos(length) {
+  if (length < 4) return 0;
+  return length < 8 ? 1 : 2;
+}
+
+// Optimal string alignment distance (a swap of two letters counts as one typo)
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+/**
+ * How closely a query matches the start of any word of a normalized candidate
+ * @returns {Number} - Typos needed (0 = exact prefix), or -1 for no match
+ */
+function matchPrefix(query, candidate) {
+  const typos = maxTypos(query.length);
+  let best = -1;
+
+  // Word starts of the candidate
+  const starts = [0];
+  for (let i = 1; i < candidate.length; i++) {
+    if (candidate[i - 1] === ' ') starts.push(i);
+  }
+
+  for (const start of starts) {
+    const rest = candidate.slice(start);
+    if (rest.startsWith(query)) return 0;
+
+    // Compare against prefixes a little shorter or longer than the query
+    for (let length = query.length - typos; length <= query.length + typos; length++) {
+      if (length < 1 || length > rest.length) continue;
+      const distance = editDistance(query, rest.slice(0, length));
+      if (distance <= typos && (best === -1 || distance < best)) best = distance;
+    }
+  }
+  return best;
+}
+
+// Most searched terms, cached
+async function getVocabulary() {
+  if (vocabulary && Date.now() - vocabularyAt < VOCABULARY_TTL_MS) return vocabulary;
+
+  vocabulary = await SearchTerm.find({ count: { $gte: MIN_TERM_SEARCHES } })
+    .sort({ count: -1 })
+    .limit(VOCABULARY_SIZE)
+    .select('term display count')
+    .lean();
+  vocabularyAt = Date.now();
+  return vocabulary;
+}
+
+// Catalog entries (categories or areas) whose English or Arabic name matches
+function matchCatalog(query, entries) {
+  return entries
+    .map(entry => {
+      const distances = [entry.name, entry.nameAr]
+        .map(name => matchPrefix(query, normalizeArabic(name)))
+        .filter(distance => distance >= 0);
+      return { entry, distance: distances.length > 0 ? Math.min(...distances) : -1 };
+    })
+    .filter(match => match.distance >= 0)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, MAX_CATALOG_MATCHES)
+    .map(match => match.entry);
+}
+
+// Popular searched terms starting with the query, falling back to near misses
+async function matchTerms(query) {
+  const escaped = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const terms = await SearchTerm.find({
+    term: { $regex: `^${escaped}` },
+    count: { $gte: MIN_TERM_SEARCHES }
+  })
+    .sort({ count: -1 })
+    .limit(MAX_TERMS)
+    .select('term display count')
+    .lean();
+
+  if (terms.length >= MAX_TERMS || maxTypos(query.length) === 0) {
+    return { terms, corrected: null };
+  }
+
+  const seen = new Set(terms.map(term => term.term));
+  const nearMisses = (await getVocabulary())
+    .filter(term => !seen.has(term.term))
+    .map(term => ({ term, distance: matchPrefix(query, term.term) }))
+    .filter(match => match.distance > 0)
+    .sort((a, b) => a.distance - b.distance || b.term.count - a.term.count)
+    .map(match => match.term);
+
+  return {
+    terms: [...terms, ...nearMisses].slice(0, MAX_TERMS),
+    // Best guess at what was meant when nothing matched as typed
+    corrected: terms.length === 0 ? nearMisses[0] || null : null
+  };
+}
+
+// Most viewed live listings with a title word starting with the query
+function matchListings(query) {
+  const pattern = { $regex: buildPrefixPattern(query), $options: 'i' };
+
+  return Listing.find({
+    status: 'active',
+    moderationStatus: 'approved',
+    isDeleted: { $ne: true },
+    ...notExpired(),
+    $or: [
+      { title: pattern },
+      { 'translations.ar.title': pattern },
+      { 'translations.en.title': pattern }
+    ]
+  })
+    .sort({ views: -1 })
+    .limit(MAX_LISTINGS)
+    .select('title translations price images category');
+}
+
+/**
+ * Suggestions for a partly typed search
+ * @param {String} q - Search text so far
+ * @returns {Promise<Object>} - { terms, categories, areas, listings, correctedQuery }
+ */
+async function getSuggestions(q) {
+  const query = normalizeTerm(q);
+  if (query.length < MIN_QUERY_LENGTH) {
+    return { terms: [], categories: [], areas: [], listings: [], correctedQuery: null };
+  }
+
+  const { terms, corrected } = await matchTerms(query);
+
+  let listings = await matchListings(query);
+  if (listings.length === 0 && corrected) {
+    listings = await matchListings(corrected.term);
+  }
+
+  return {
+    terms: terms.map(term => ({ term: term.display, count: term.count })),
+    categories: matchCatalog(query, CATEGORIES).map(({ name, nameAr, slug }) => ({ name, nameAr, slug })),
+    areas: matchCatalog(query, AREAS).map(({ name, nameAr }) => ({ name, nameAr })),
+    listings: listings.map(listing => ({
+      _id: listing._id,
+      title: listing.title,
+      translations: listing.translations,
+      price: listing.price,
+      category: listing.category,
+      image: listing.images[0]?.url || null
+    })),
+    correctedQuery: corrected ? corrected.display : null
+  };
+}
+
+module.exports = {
+  MIN_QUERY_LENGTH,
+  normalizeTerm,
+  recordSearchTerm,
+  getSuggestions
+};
@@ -0,0 +1,160 @@
+/**
+ * Time-based one-time passwords (RFC 6238) for two-factor authentication
+ * Compatible with Google Authenticator, Authy, 1Password etc. (SHA-1, 6 digits, 30s)
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string (case and padding insensitive)
+ */
+function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random secret (base32, 160 bits)
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Current time step counter
+ */
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Generate the code for a given time step
+ * @param {String} secret - Base32 secret
+ * @param {Number} step - Time step counter
+ * @returns {String} - Zero-padded code
+ */
+function generateCode(secret, step = currentStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** DIGITS);
+
+  return String(binary).padStart(DIGITS, '0');
+}
+
+/**
+ * Verify a code, allowing for clock drift
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code entered by the user
+ * @param {Object} options - { window: steps of drift allowed, lastUsedStep: reject replays }
+ * @returns {Number|null} - Matched time step, or null if invalid
+ */
+function verifyCode(secret, code, options = {}) {
+  const { window = 1, lastUsedStep } = options;
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const step = currentStep();
+  for (let i = -window; i <= window; i++) {
+    const candidate = step + i;
+    if (lastUsedStep !== undefined && lastUsedStep !== null && candidate <= lastUsedStep) {
+      continue;
+    }
+    const expected = generateCode(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// provisioning URI rendered as a QR code by the client
+ */
+function buildOtpauthUri(secret, accountName, issuer = 'MySouqify') {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Generate single-use recovery codes (xxxxx-xxxxx)
+ */
+function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+/**
+ * Hash a recovery code for storage (format-insensitive)
+ */
+function hashRecoveryCode(code) {
+  const normalized = String(code || '').toLowerCase().replace(/[^a-z2-7]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  base32Encode,
+  base32Decode
+};